@@ -3,6 +3,7 @@ import {
   makeMatch,
   valueTransforms,
   runTransformApplication,
+  exitCodes,
 } from "./json-reshape.js";
 
 const modelLibrary = {}
@@ -103,4 +104,7 @@ modelLibrary.sampleAny1 = {
 
 modelLibrary.default = modelLibrary.sampleCharacter1
 
-runTransformApplication(modelLibrary, [...process.argv])
+runTransformApplication(modelLibrary, [...process.argv]).catch((error) => {
+  console.error(error)
+  process.exitCode = exitCodes.failed
+})
@@ -2,6 +2,7 @@ import {
   match,
   makeMatch,
   runTransformApplication,
+  exitCodes,
 } from "./json-reshape.js";
 
 const modelLibrary = {}
@@ -48,4 +49,7 @@ modelLibrary.equipment2 = {
 
 modelLibrary.default = modelLibrary.character
 
-runTransformApplication(modelLibrary, [...process.argv])
+runTransformApplication(modelLibrary, [...process.argv]).catch((error) => {
+  console.error(error)
+  process.exitCode = exitCodes.failed
+})
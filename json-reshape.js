@@ -4,13 +4,79 @@ import {
   rmSync,
   renameSync,
   existsSync,
+  copyFileSync,
+  openSync,
+  readSync,
+  closeSync,
+  createReadStream,
+  createWriteStream,
+  readdirSync,
+  statSync,
+  mkdirSync,
+  watch,
 } from 'node:fs';
+import { basename, dirname, join, relative } from 'node:path';
 
 /**
  * Function that tries to match the actual data to the model implied
  * by this function, returning the projected data or a merge function 
- * on success, or undefined if not matched
- * @typedef {(data: any) => any} matchFunction
+ * on success, or undefined if not matched.
+ * The optional context argument describes where in the input document
+ * the data was found. Matchers that delegate to other models should pass
+ * it on; simple matchers can ignore it.
+ * @typedef {(data: any, context?: ProjectionContext) => any} matchFunction
+ */
+
+/**
+ * Describes a node that was dropped or did not match during a projection
+ * @typedef {Object} ProjectionIssue
+ * @property {string} path The JSON path of the node in the input document (e.g. "$.items[2].id")
+ * @property {string} reason One of "missing" (the data has no value for a model key),
+ * "mismatch" (the data did not match the model) or "rejected" (the data matched, but the
+ * match result was rejected by a transform)
+ * @property {string} expected A description of the model the data was matched against
+ * @property {string} actual The type of the data (as returned by typeofEx())
+ * @property {boolean} [violation] True if the issue violates a constraint of the model
+ * (such as a required field), as opposed to just explaining why a node was dropped
+ * @property {number} [line] For JSON Lines input, the line of the document the path is in
+ */
+
+/**
+ * The state shared by all nodes of a single projection
+ * @typedef {Object} ProjectionState
+ * @property {ProjectionIssue[]} [report] If defined, issues are recorded in this array.
+ * Which issues are recorded depends on the explain flag
+ * @property {boolean} [explain] If true, explain mode is active and all dropped or
+ * mismatched nodes are recorded in the report. Otherwise only violations are recorded
+ * @property {Object.<string,any>} [library] The model library that model references
+ * (makeMatch.ref()) are resolved against
+ * @property {any} [root] The input document being projected
+ * @property {WeakMap<Object, matchFunction>} [compiled] The matchers of the object and array
+ * models compiled by compileModel(), used instead of creating a new matcher for every data node
+ */
+
+/**
+ * The context in which a data fragment is matched against a model node
+ * @typedef {Object} ProjectionContext
+ * @property {ProjectionState} state The state shared by the entire projection
+ * @property {ProjectionContext} [parent] The context of the enclosing object or array
+ * (undefined for the root of the input document)
+ * @property {string|number} [key] The property name or array index of the data fragment
+ * in its parent (undefined for the root of the input document)
+ * @property {any} [data] The data fragment itself
+ */
+
+/**
+ * The context passed to matcher functions wrapped by makeMatch.withContext()
+ * @typedef {Object} MatcherContext
+ * @property {string} path The JSON path of the data in the input document (e.g. "$.items[2]")
+ * @property {string|number|undefined} key The property name or array index of the data in
+ * its parent (undefined for the root of the input document)
+ * @property {any} parent The object or array containing the data (undefined for the root)
+ * @property {any} root The input document
+ * @property {Object.<string,any> | undefined} library The active model library
+ * @property {(data: any, model: any) => any} project Matches a data value to a model
+ * within the same projection (so model references and explain mode keep working)
  */
 
 /**
@@ -37,24 +103,26 @@ import {
 
 /**
  * An unbound merge function, representing the actual merging function invoked
- * by a bound merge function.
- * @typedef {(args:MergeArguments,value:any) => undefined} unboundMergeFunction
+ * by a bound merge function. Some unbound merge functions take options that
+ * further specify their behaviour.
+ * @typedef {(args:MergeArguments,value:any,options?:any) => undefined} unboundMergeFunction
  */
 
 /**
  * Bind an unbound merge function to a value, returning the resulting bound merge function
  * @param {unboundMergeFunction} umf
  * @param {any} value 
+ * @param {any} [options] Options for the unbound merge function, if it takes any
  * @returns {boundMergeFunction}
  */
-export function bindMergeFunction(umf, value) {
+export function bindMergeFunction(umf, value, options) {
   if (value === undefined) {
     throw new Error(`Not expecting an undefined value here`)
   }
   if (typeof (value) === "function") {
     throw new Error(`Not expecting a function value`)
   }
-  return (args) => umf(args, value)
+  return (args) => umf(args, value, options)
 }
 
 /**
@@ -73,29 +141,510 @@ export function typeofEx(value) {
   }
 }
 
-function projectObject(data, model) {
+/**
+ * Test if a property name from the data must not be used as a path segment when
+ * building objects, because walking or assigning it could reach a prototype
+ * @param {string|number} key
+ * @returns {boolean}
+ */
+function isUnsafeKey(key) {
+  return key === "__proto__" || key === "constructor" || key === "prototype"
+}
+
+/**
+ * Get the value of an own property of an object, ignoring inherited members
+ * @param {Object.<string,any>} target
+ * @param {string|number} key
+ * @returns {any}
+ */
+function ownValue(target, key) {
+  return Object.hasOwn(target, key) ? target[key] : undefined
+}
+
+/**
+ * Set an own property of an object like an assignment does, but without invoking
+ * inherited accessors such as "__proto__"
+ * @param {Object.<string,any>} target
+ * @param {string|number} key
+ * @param {any} value
+ */
+function defineOwn(target, key, value) {
+  Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true })
+}
+
+/**
+ * Create the context for the root of a projection
+ * @param {ProjectionState} [state]
+ * @returns {ProjectionContext}
+ */
+function rootContext(state) {
+  return { state: state ?? {}, data: state?.root }
+}
+
+/**
+ * Create the context for a child of the data fragment described by the given context
+ * @param {ProjectionContext} context The context of the parent fragment
+ * @param {string|number} key The property name or array index of the child
+ * @param {any} data The child data fragment
+ * @returns {ProjectionContext}
+ */
+function childContext(context, key, data) {
+  return { state: context.state, parent: context, key, data }
+}
+
+/**
+ * Format a key as a JSON path segment: '[2]' for an array index, '.name' for
+ * a property name that is an identifier, or '["odd key"]' otherwise
+ * @param {string | number} key
+ * @returns {string}
+ */
+function pathSegment(key) {
+  if (typeof (key) === "number") {
+    return `[${key}]`
+  } else if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) {
+    return `.${key}`
+  }
+  return `[${JSON.stringify(key)}]`
+}
+
+/**
+ * Format the JSON path of the data fragment described by the context,
+ * for example '$.character.name' or '$.items[2]'
+ * @param {ProjectionContext} context
+ * @returns {string}
+ */
+export function contextPath(context) {
+  const segments = []
+  for (let c = context; c && c.key !== undefined; c = c.parent) {
+    segments.push(pathSegment(c.key))
+  }
+  return "$" + segments.reverse().join("")
+}
+
+/**
+ * Describe a model for use in explanations and error messages
+ * @param {any} model
+ * @returns {string}
+ */
+function describeModel(model) {
+  const modelType = typeofEx(model)
+  if (modelType === "function") {
+    for (const [name, matcher] of Object.entries(match)) {
+      if (matcher === model) {
+        return name === "fail" ? "nothing" : name
+      }
+    }
+    if (model.description) {
+      return model.description
+    }
+    return model.name ? `matcher "${model.name}"` : "matcher"
+  }
+  return modelType
+}
+
+/**
+ * Attach a description to a matcher function, to be used in explanations
+ * and error messages instead of the generic "matcher"
+ * @param {matchFunction} matcher 
+ * @param {string} description 
+ * @returns {matchFunction} The matcher itself
+ */
+function describedMatcher(matcher, description) {
+  matcher.description = description
+  return matcher
+}
+
+/**
+ * Record which makeMatch factory created a matcher function, and with which
+ * arguments, so the shape of its output can be derived (see modelToJsonSchema())
+ * @param {matchFunction} matcher
+ * @param {string} name The name of the factory in makeMatch
+ * @param {any[]} args The arguments the factory was called with
+ * @returns {matchFunction} The matcher itself
+ */
+function factoryMatcher(matcher, name, args) {
+  matcher.factory = { name, args }
+  return matcher
+}
+
+/**
+ * Compare two JSON compatible values for structural equality
+ * @param {any} a 
+ * @param {any} b 
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+  if (a === b) {
+    return true
+  }
+  const typeA = typeofEx(a)
+  if (typeA !== typeofEx(b)) {
+    return false
+  }
+  switch (typeA) {
+    case "array":
+      return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]))
+    case "object":
+      const keysA = Object.keys(a)
+      return keysA.length === Object.keys(b).length &&
+        keysA.every((k) => Object.hasOwn(b, k) && deepEqual(a[k], b[k]))
+    default:
+      return false
+  }
+}
+
+/**
+ * Record an issue in the report of the projection, if explain mode is active
+ * or if the issue is a violation
+ * @param {ProjectionContext} context The context of the node the issue applies to
+ * @param {string} reason The reason code (see ProjectionIssue)
+ * @param {string} expected The description of the expected model
+ * @param {any} data The actual data
+ * @param {boolean} [violation] True if the issue violates a constraint of the model
+ */
+function reportIssue(context, reason, expected, data, violation) {
+  const { report, explain } = context.state
+  if (report && (explain || violation)) {
+    const issue = { path: contextPath(context), reason, expected, actual: typeofEx(data) }
+    if (violation) {
+      issue.violation = true
+    }
+    report.push(issue)
+  }
+}
+
+/**
+ * Discard the explain issues recorded in the report since the mark, keeping the
+ * violations among them (which must still make a strict projection fail)
+ * @param {ProjectionIssue[]} report
+ * @param {number} mark The length of the report to return to
+ */
+function discardExplanations(report, mark) {
+  const violations = report.slice(mark).filter((issue) => issue.violation)
+  report.length = mark
+  report.push(...violations)
+}
+
+/**
+ * Mark a matcher function as one that should be invoked even if the data for
+ * the model key it is assigned to is absent (in which case the matcher is
+ * invoked with undefined as data). By default absent keys are skipped.
+ * @param {matchFunction} matcher 
+ * @returns {matchFunction} The matcher itself
+ */
+function matchesAbsent(matcher) {
+  matcher.matchAbsent = true
+  return matcher
+}
+
+/**
+ * Try each of the models in turn on the data, returning the first match.
+ * In explain mode, issues recorded while trying alternatives that did not match
+ * are discarded, and a single issue is recorded if no alternative matched
+ * (unless there was only one alternative, which can explain itself). Violations
+ * are kept, like everywhere else: a required value that is missing inside an
+ * element makes a strict projection fail, even if the element is dropped.
+ * @param {any} data The data to match
+ * @param {any[]} models The models to try, in order
+ * @param {(any) => any} [transform] Optional transformation of match results,
+ * applied before deciding if a model really matched
+ * @param {ProjectionContext} context The context of the data
+ * @returns {any} The first match result, or undefined
+ */
+function projectFirstMatch(data, models, transform, context) {
+  const report = context.state.report
+  const start = report?.length
+  let rejected = false
+  for (const modelValue of models) {
+    const mark = report?.length
+    let projected = projectAny(data, modelValue, context)
+    if (transform) {
+      const matched = projected !== undefined
+      projected = transform(projected)
+      rejected ||= matched && projected === undefined
+    }
+    if (projected !== undefined) {
+      return projected
+    }
+    if (report && models.length > 1) {
+      discardExplanations(report, mark)
+    }
+  }
+  if (report?.length === start) {
+    if (rejected) {
+      reportIssue(context, "rejected", transform.name || "transform", data)
+    } else {
+      reportIssue(context, "mismatch", models.map(describeModel).join(" | "), data)
+    }
+  }
+  return undefined
+}
+
+function projectObject(data, model, context) {
   if (data === null || typeof (data) !== "object" || Array.isArray(data)) {
     return undefined;
   }
   if (model === null || typeof (model) !== "object" || Array.isArray(model)) {
     throw new Error("Expecting a model that is an object")
   }
+  return projectObjectEntries(data, Object.entries(model), context)
+}
+
+/**
+ * Project a data object to an object model that is given as the list of its
+ * entries (so compiled models can list them only once)
+ * @param {any} data The data to project
+ * @param {[string, any, matchFunction?][]} entries The entries of the object model,
+ * optionally followed by the matcher for the model value
+ * @param {ProjectionContext} [context] The context of the data object
+ * @returns {Object.<string,any> | undefined}
+ */
+function projectObjectEntries(data, entries, context) {
+  if (data === null || typeof (data) !== "object" || Array.isArray(data)) {
+    return undefined;
+  }
+  context ??= rootContext()
   const result = {}
-  for (const [key, modelValue] of Object.entries(model)) {
-    const dataValue = data[key]
-    if (dataValue !== undefined) {
-      const projectedValue = projectAny(dataValue, modelValue)
-      if (projectedValue !== undefined) {
-        if (typeof (projectedValue) === "function") {
-          // assume it is a boundMergeFunction
-          projectedValue({ hostObject: result, hostKey: key })
-        } else {
-          result[key] = projectedValue
-        }
+  for (const [key, modelValue, matcher] of entries) {
+    const dataValue = ownValue(data, key)
+    projectProperty(result, key, dataValue, modelValue, childContext(context, key, dataValue), matcher)
+  }
+  return result
+}
+
+/**
+ * Project a single property value of a data object and merge the result into
+ * the host object (which is the result object under construction)
+ * @param {Object.<string,any>} hostObject The object to merge the result into
+ * @param {string} key The property name
+ * @param {any} dataValue The property value in the data object
+ * @param {any} modelValue The model for the property value
+ * @param {ProjectionContext} valueContext The context of the property value
+ * @param {matchFunction} [matcher] The matcher for the model, if already known
+ */
+function projectProperty(hostObject, key, dataValue, modelValue, valueContext, matcher) {
+  const report = valueContext.state.report
+  if (dataValue !== undefined || modelValue?.matchAbsent) {
+    const mark = report?.length
+    const projectedValue = matcher ? matcher(dataValue, valueContext) : projectAny(dataValue, modelValue, valueContext)
+    if (projectedValue !== undefined) {
+      if (typeof (projectedValue) === "function") {
+        // assume it is a boundMergeFunction
+        projectedValue({ hostObject, hostKey: key })
+      } else {
+        defineOwn(hostObject, key, projectedValue)
       }
+    } else if (report && report.length === mark) {
+      // The matcher did not explain itself
+      const reason = dataValue === undefined ? "missing" : "mismatch"
+      reportIssue(valueContext, reason, describeModel(modelValue), dataValue)
     }
+  } else if (modelValue !== match.fail) {
+    reportIssue(valueContext, "missing", describeModel(modelValue), dataValue)
+  }
+}
+
+/**
+ * Create a function that retrieves the value at a key path from a value.
+ * @param {string | ((value: any) => any)} keyPath A dot separated path of property
+ * names (such as "slot.name"), or a function returning the key for a value
+ * @returns {(value: any) => any}
+ */
+function makeKeyGetter(keyPath) {
+  if (typeof (keyPath) === "function") {
+    return keyPath
+  }
+  if (typeof (keyPath) !== "string") {
+    throw new Error(`Expecting the key path to be a string or a function`)
+  }
+  const parts = keyPath === "" ? [] : keyPath.split(".")
+  return (value) => {
+    for (const part of parts) {
+      if (value === null || typeof (value) !== "object") {
+        return undefined
+      }
+      value = value[part]
+    }
+    return value
+  }
+}
+
+/**
+ * Returns a matcher that matches the model, and if that produces an array,
+ * post-processes that array.
+ * @param {any} model The model to match, usually an array model
+ * @param {(array: any[]) => any} process The post-processing function
+ * @returns {matchFunction}
+ */
+function arrayPostProcessor(model, process) {
+  return (data, context) => {
+    const result = projectAny(data, model, context)
+    return Array.isArray(result) ? process(result) : undefined
+  }
+}
+
+/**
+ * Returns a matcher that converts the data using the conversion function.
+ * Data that cannot be converted projects to null, or does not match at all
+ * if the strict option is set.
+ * @param {(data: any) => any} convert The conversion function, returning
+ * undefined if the data cannot be converted
+ * @param {string} description The description of the matcher
+ * @param {{strict?: boolean}} [options]
+ * @returns {matchFunction}
+ */
+function coercingMatcher(convert, description, options) {
+  const strict = options?.strict === true
+  return describedMatcher((data) => {
+    const converted = convert(data)
+    return converted !== undefined ? converted : strict ? undefined : null
+  }, description)
+}
+
+const decimalPattern = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i
+
+/**
+ * Convert a value to a finite number, if possible
+ * @param {any} data 
+ * @returns {number | undefined}
+ */
+function convertToNumber(data) {
+  switch (typeof (data)) {
+    case "number":
+      return Number.isFinite(data) ? data : undefined
+    case "boolean":
+      return data ? 1 : 0
+    case "string":
+      // only decimal numbers (Number() also accepts "0x10", "0b1" and "0o7")
+      const trimmed = data.trim()
+      const value = decimalPattern.test(trimmed) ? Number(trimmed) : NaN
+      return Number.isFinite(value) ? value : undefined
+    default:
+      return undefined
+  }
+}
+
+const booleanStrings = new Map([
+  ["true", true], ["yes", true], ["on", true], ["1", true],
+  ["false", false], ["no", false], ["off", false], ["0", false],
+])
+
+/**
+ * Normalise a string as specified by the options
+ * @param {string} text 
+ * @param {StringOptions} [options]
+ * @returns {string}
+ */
+function normalizeString(text, options) {
+  if (options?.collapseWhitespace) {
+    text = text.replace(/\s+/g, " ")
+  }
+  if (options?.trim) {
+    text = text.trim()
+  }
+  switch (options?.case) {
+    case undefined:
+      return text
+    case "lower":
+      return text.toLowerCase()
+    case "upper":
+      return text.toUpperCase()
+    default:
+      throw new Error(`Unknown case option "${options.case}"; expecting "lower" or "upper"`)
+  }
+}
+
+const isoDatePattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+const numericDatePattern = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/
+
+/**
+ * Get the epoch time of a UTC date and time, like Date.UTC(), but without mapping
+ * the years 0 to 99 to 1900 to 1999
+ * @param {number} year
+ * @param {number} monthIndex The month (0 based)
+ * @param {number} day
+ * @param {number} [hours]
+ * @param {number} [minutes]
+ * @param {number} [seconds]
+ * @param {number} [millis]
+ * @returns {number}
+ */
+function utcTime(year, monthIndex, day, hours, minutes, seconds, millis) {
+  const date = new Date(0)
+  date.setUTCFullYear(year, monthIndex, day)
+  date.setUTCHours(hours ?? 0, minutes ?? 0, seconds ?? 0, millis ?? 0)
+  return date.getTime()
+}
+
+/**
+ * Parse a date from a number (epoch) or string. Strings in ISO-8601 format without
+ * a time zone, and numeric dates, are interpreted as UTC.
+ * @param {any} data 
+ * @param {DateOptions} [options]
+ * @returns {Date | undefined}
+ */
+function parseDate(data, options) {
+  let time = NaN
+  if (typeof (data) === "number") {
+    time = options?.epochUnit === "s" ? data * 1000 : data
+  } else if (typeof (data) === "string") {
+    const text = data.trim()
+    let m
+    if (/^-?\d+$/.test(text)) {
+      if (options?.epochStrings) {
+        time = parseDate(Number(text), options)?.getTime() ?? NaN
+      }
+    } else if ((m = isoDatePattern.exec(text))) {
+      const [, year, month, day, hours, minutes, seconds, millis, zone] = m
+      const [h, min, sec, ms] = [+(hours ?? 0), +(minutes ?? 0), +(seconds ?? 0), +(millis ?? "0").padEnd(3, "0")]
+      time = utcTime(+year, +month - 1, +day, h, min, sec, ms)
+      if (zone && zone.toUpperCase() !== "Z") {
+        const sign = zone[0] === "-" ? -1 : 1
+        const digits = zone.slice(1).replace(":", "")
+        const [zoneHours, zoneMinutes] = [+digits.slice(0, 2), +digits.slice(2)]
+        time = zoneHours > 23 || zoneMinutes > 59 ? NaN : time - sign * (zoneHours * 60 + zoneMinutes) * 60000
+      }
+      // reject overflowing fields, such as month 13, February 30 or minute 61 (but
+      // allow 24:00, the end of the day)
+      const endOfDay = h === 24 && min === 0 && sec === 0 && ms === 0
+      if (+month < 1 || +month > 12 || new Date(utcTime(+year, +month - 1, +day)).getUTCDate() !== +day ||
+        (h > 23 && !endOfDay) || min > 59 || sec > 59) {
+        time = NaN
+      }
+    } else if ((m = numericDatePattern.exec(text))) {
+      const [, first, second, year] = m
+      const [day, month] = options?.dayFirst ? [+first, +second] : [+second, +first]
+      time = utcTime(+year, month - 1, day)
+      if (month > 12 || new Date(time).getUTCDate() !== day) {
+        time = NaN
+      }
+    } else if (/[a-z]{3}/i.test(text)) {
+      // textual formats, such as "Tue, 02 Jan 2024 10:00:00 GMT" (Date.parse() is
+      // too lenient to be applied to anything else)
+      time = Date.parse(text)
+    }
+  }
+  return Number.isFinite(time) ? new Date(time) : undefined
+}
+
+/**
+ * Create a key filter function from a regular expression or predicate
+ * @param {RegExp | ((key: string) => boolean) | undefined} keyPattern 
+ * @returns {(key: string) => boolean}
+ */
+function makeKeyFilter(keyPattern) {
+  if (keyPattern === undefined) {
+    return () => true
+  } else if (keyPattern instanceof RegExp) {
+    return (key) => {
+      keyPattern.lastIndex = 0 // in case of 'g' or 'y' flags
+      return keyPattern.test(key)
+    }
+  } else if (typeof (keyPattern) === "function") {
+    return keyPattern
+  } else {
+    throw new Error(`Expecting the key pattern to be a regular expression or a predicate function`)
   }
-  return result
 }
 
 /**
@@ -109,32 +658,22 @@ function projectObject(data, model) {
  * @param {boolean} [nullIfNotMatching] If true, then insert null
  * for any unmatched elements (so the result array has the same
  * length as the input)
+ * @param {ProjectionContext} [context] The context of the data array
  * @returns {any[] | undefined}
  */
-function projectArray(data, model, transform, nullIfNotMatching) {
+function projectArray(data, model, transform, nullIfNotMatching, context) {
   if (data === null || typeof (data) !== "object" || !Array.isArray(data)) {
     return undefined;
   }
   if (model === null || typeof (model) !== "object" || !Array.isArray(model)) {
     throw new Error("Expecting a model that is an array")
   }
+  context ??= rootContext()
   const result = []
-  for (const dataValue of data) {
-    let projected = undefined
-    for (const modelValue of model) {
-      projected = projectAny(dataValue, modelValue)
-      if (transform) {
-        projected = transform(projected)
-      }
-      if (projected !== undefined) { break }
-    }
+  for (const [index, dataValue] of data.entries()) {
+    const projected = projectFirstMatch(dataValue, model, transform, childContext(context, index, dataValue))
     if (projected !== undefined) {
-      if (typeof (projected) === "function") {
-        // assume it is a boundMergeFunction that supports arrays
-        projected({ hostArray: result })
-      } else {
-        result.push(projected)
-      }
+      appendProjected(result, projected)
     } else if (nullIfNotMatching === true) {
       result.push(null)
     }
@@ -142,13 +681,86 @@ function projectArray(data, model, transform, nullIfNotMatching) {
   return result
 }
 
+/**
+ * Append a projection result to the host array (which is the result array
+ * under construction), or merge it in if it is a merge function
+ * @param {any[]} hostArray The array to append to
+ * @param {any} projected The (not undefined) projection result
+ */
+function appendProjected(hostArray, projected) {
+  if (typeof (projected) === "function") {
+    // assume it is a boundMergeFunction that supports arrays
+    projected({ hostArray })
+  } else {
+    hostArray.push(projected)
+  }
+}
+
+/**
+ * Project an input array by position: each element is matched to the model
+ * at the same index. See makeMatch.tuple().
+ * @param {any[]} data The data array to project
+ * @param {any[]} models The model for each position
+ * @param {TupleOptions} options
+ * @param {ProjectionContext} context The context of the data array
+ * @returns {any[] | Object.<string,any> | undefined}
+ */
+function projectTuple(data, models, options, context) {
+  if (!Array.isArray(data)) {
+    return undefined
+  }
+  const { names, rest, exact } = options
+  if (exact && (rest === undefined ? data.length !== models.length : data.length < models.length)) {
+    reportIssue(context, "mismatch", `tuple of length ${models.length}`, data)
+    return undefined
+  }
+  const count = Math.min(models.length, data.length)
+  const restResult = []
+  if (rest !== undefined) {
+    for (let index = models.length; index < data.length; index++) {
+      const projected = projectFirstMatch(data[index], [rest], undefined, childContext(context, index, data[index]))
+      if (projected !== undefined) {
+        appendProjected(restResult, projected)
+      }
+    }
+  }
+  if (names) {
+    const result = {}
+    for (let index = 0; index < models.length; index++) {
+      // positions beyond the end of the data are treated like absent properties
+      projectProperty(result, names[index], data[index], models[index], childContext(context, index, data[index]))
+    }
+    if (rest !== undefined) {
+      result[options.restName ?? "rest"] = restResult
+    }
+    return result
+  } else {
+    for (let index = count; index < models.length; index++) {
+      reportIssue(childContext(context, index, undefined), "missing", describeModel(models[index]), undefined)
+    }
+    const result = []
+    for (let index = 0; index < count; index++) {
+      const projected = projectFirstMatch(data[index], [models[index]], undefined, childContext(context, index, data[index]))
+      if (projected !== undefined) {
+        appendProjected(result, projected)
+      } else {
+        result.push(null) // keep the positions of the other elements
+      }
+    }
+    result.push(...restResult)
+    return result
+  }
+}
+
 /**
  * Find the appropriate matcher function to match the
  * (top level of) the given model.
  * @param {any} model 
+ * @param {WeakMap<Object, matchFunction>} [compiled] The compiled matchers to use, if any
+ * (see ProjectionState)
  * @returns {matchFunction}
  */
-function getModelMatcher(model) {
+function getModelMatcher(model, compiled) {
   const modelType = typeofEx(model)
   switch (modelType) {
     case "function":
@@ -166,12 +778,13 @@ function getModelMatcher(model) {
     case "array":
       // The model only matches an array, and the data is projected
       // to the specification of the content in the model array
-      return (data) => projectArray(data, model);
+      return compiled?.get(model) ??
+        ((data, context) => projectArray(data, model, undefined, undefined, context));
     case "object":
       // The model only matches an object (that is not null nor an array),
       // and the data is projected to the specification of the content in
       // the model object
-      return (data) => projectObject(data, model);
+      return compiled?.get(model) ?? ((data, context) => projectObject(data, model, context));
     case "undefined":
       // Returns a matcher that always fails
       return match.fail;
@@ -187,13 +800,14 @@ function getModelMatcher(model) {
  * a primitive value, an array, an object, or a merge function.
  * @param {any} data The data to match and project
  * @param {any} model The model to match to
+ * @param {ProjectionContext} [context] The context of the data
  * @returns {any} The result of the match and project operation:
  * undefined to indicate no match, a concrete projection result,
  * or a merge function
  */
-function projectAny(data, model) {
-  const matcher = getModelMatcher(model);
-  const result = matcher(data);
+function projectAny(data, model, context) {
+  const matcher = getModelMatcher(model, context?.state.compiled);
+  const result = matcher(data, context ?? rootContext({ root: data }));
   return result;
 }
 
@@ -299,10 +913,52 @@ export const makeMatch = {
   /**
    * Returns a matcher function that matches the model object
    * @param {Object.<string,any>} model 
+   * @param {Object} [options]
+   * @param {string[]} [options.required] The names of model keys that are required
+   * (as if their model was wrapped in makeMatch.required())
+   * @returns {matchFunction}
+   */
+  object: function (model, options) {
+    if (options?.required) {
+      model = { ...model }
+      for (const key of options.required) {
+        if (!(key in model)) {
+          throw new Error(`Required key "${key}" is not part of the model`)
+        }
+        model[key] = makeMatch.required(model[key])
+      }
+    }
+    return factoryMatcher((data, context) => projectObject(data, model, context), "object", [model, options])
+  },
+
+  /**
+   * Returns a matcher that matches the model, but that records a violation
+   * if the data is absent or does not match the model. Model values in object
+   * models are optional by default; wrap them in this matcher to make them required.
+   * Violations do not affect the projection result itself, but they make a
+   * strict projection fail (see projectToModel()).
+   * @param {any} model The model to match
    * @returns {matchFunction}
    */
-  object: function (model) {
-    return (data) => projectObject(data, model)
+  required: function (model) {
+    return factoryMatcher(matchesAbsent((data, context) => {
+      context ??= rootContext()
+      if (data === undefined) {
+        reportIssue(context, "missing", describeModel(model), data, true)
+        return undefined
+      }
+      const report = context.state.report
+      const mark = report?.length
+      const result = projectAny(data, model, context)
+      if (result === undefined) {
+        if (report) {
+          // replace any explanation by the violation
+          discardExplanations(report, mark)
+        }
+        reportIssue(context, "mismatch", describeModel(model), data, true)
+      }
+      return result
+    }), "required", [model])
   },
 
   /**
@@ -311,7 +967,7 @@ export const makeMatch = {
    * @returns {matchFunction} 
    */
   array: function (model) {
-    return (data) => projectArray(data, model)
+    return factoryMatcher((data, context) => projectArray(data, model, undefined, undefined, context), "array", [model])
   },
 
   /**
@@ -324,10 +980,7 @@ export const makeMatch = {
    * @returns {matchFunction}
    */
   notEmpty: function (model) {
-    return (data) => {
-      const value = projectAny(data, model)
-      return valueTransforms.notEmpty(value)
-    }
+    return factoryMatcher(makeMatch.transform(model, valueTransforms.notEmpty), "notEmpty", [model])
   },
 
   /**
@@ -340,9 +993,9 @@ export const makeMatch = {
    * @returns {matchFunction}
    */
   arrayTransformed: function (arrayModel, transform) {
-    return (data) => {
-      return projectArray(data, arrayModel, transform)
-    }
+    return factoryMatcher((data, context) => {
+      return projectArray(data, arrayModel, transform, undefined, context)
+    }, "arrayTransformed", [arrayModel, transform])
   },
 
   /**
@@ -356,13 +1009,9 @@ export const makeMatch = {
    * @returns {matchFunction}
    */
   firstMatch: function (arrayOfModels, transform) {
-    return (data) => {
-      const result = projectArray([data], arrayOfModels, transform)
-      if (result && result.length > 0) {
-        return result[0]
-      }
-      return undefined
-    }
+    return factoryMatcher((data, context) => {
+      return projectFirstMatch(data, arrayOfModels, transform, context ?? rootContext())
+    }, "firstMatch", [arrayOfModels, transform])
   },
 
   /**
@@ -374,7 +1023,7 @@ export const makeMatch = {
    * @returns {matchFunction}
    */
   firstOneValue: function (modelsArray) {
-    return makeMatch.firstMatch(modelsArray, valueTransforms.oneValue)
+    return factoryMatcher(makeMatch.firstMatch(modelsArray, valueTransforms.oneValue), "firstOneValue", [modelsArray])
   },
 
   /**
@@ -385,7 +1034,7 @@ export const makeMatch = {
    * @returns {matchFunction}
    */
   firstNotEmpty: function (arrayModel) {
-    return makeMatch.arrayTransformed(arrayModel, valueTransforms.notEmpty)
+    return factoryMatcher(makeMatch.arrayTransformed(arrayModel, valueTransforms.notEmpty), "firstNotEmpty", [arrayModel])
   },
 
   /**
@@ -397,142 +1046,4152 @@ export const makeMatch = {
    * @returns {matchFunction}
    */
   transform: function (model, transform) {
-    return (data) => {
-      const result = projectAny(data, model)
-      return transform ? transform(result) : result
-    }
+    return factoryMatcher((data, context) => {
+      context ??= rootContext()
+      const report = context.state.report
+      const mark = report?.length
+      const result = projectAny(data, model, context)
+      if (!transform) {
+        return result
+      }
+      const transformed = transform(result)
+      if (report && result !== undefined && transformed === undefined) {
+        // The explanations found while building the rejected result are moot
+        discardExplanations(report, mark)
+        reportIssue(context, "rejected", transform.name || "transform", data)
+      }
+      return transformed
+    }, "transform", [model, transform])
   },
 
   /**
    * Returns a matcher function that flattens the intermediate object created
    * by matching the intermediate model into the host object
-   * @param {Object.<string,any>} model The model for the intermediate object
+   * @param {Object.<string,any> | any[]} model The model for the intermediate object
+   * (or array, in which case the array indices act as property names)
+   * @param {FlattenOptions} [options] Options controlling the generated property names
    * @returns {matchFunction} A matcher function that in turn either returns a
    * merge function bound to the model or undefined (to indicate a non-match).
    */
-  flatten: function (model) {
-    return (value) => {
-      const value2 = projectObject(value, model)
-      if (value2 === undefined) {
+  flatten: function (model, options) {
+    return factoryMatcher((value, context) => {
+      const value2 = projectAny(value, model, context)
+      const valueType = typeofEx(value2)
+      if (valueType !== "object" && valueType !== "array") {
         return undefined
       } else {
-        return bindMergeFunction(unboundMerge.flatten, value2)
+        return bindMergeFunction(unboundMerge.flatten, value2, options)
       }
-    }
+    }, "flatten", [model, options])
   },
 
-}
-
-/**
- * A namespace object holding a selection of unbound merge functions
- * {(args:MergeArguments,value:any) => undefined}. 
- * Use bindMergFunction() to bind these into bound merge functions.
- * An unbound merge function takes a MergeArguments target descriptor
- * and a value to insert that value into the target array or object
- * in some way other than usual.
- * @type {Object.<string,unboundMergeFunction>}
- */
-export const unboundMerge = {
   /**
-   * The unbound merge function backing the "makeMatch.flatten" functionality
-   * @param {MergeArguments} args 
-   * @param {any} value 
+   * Returns a matcher function that is the inverse of makeMatch.flatten(): it
+   * rebuilds a nested object from the delimited property names in the data
+   * object, matches the result to the model, and merges the projection into the
+   * host object. The host key is split into a path as well, so a prefix of ""
+   * merges the projected properties directly into the host object.
+   * @param {any} model The model for the nested (rebuilt) object
+   * @param {UnflattenOptions} [options] Options controlling how property names are split
+   * @returns {matchFunction} A matcher function that in turn either returns a
+   * merge function bound to the projection result or undefined.
    */
-  flatten: function (args, value) {
-    if (value === undefined) {
-      throw new Error(`Not expecting value 'undefined' here. Did you try to call this without binding?`)
-    }
-    const { hostObject, hostKey } = args
-    if (!hostObject || !hostKey) {
-      throw new Error(`Expecting a host object to merge data into and a key ("flatten" can only be used in objects, not arrays)`)
-    }
-    for (const [k, v] of Object.entries(value)) {
-      hostObject[`${hostKey}-${k}`] = v
-    }
+  unflatten: function (model, options) {
+    return factoryMatcher((value, context) => {
+      if (typeofEx(value) !== "object") {
+        return undefined
+      }
+      const nested = unflattenObject(value, options?.separator ?? "-", options?.arrays !== false)
+      const value2 = projectAny(nested, model, context)
+      if (value2 === undefined) {
+        return undefined
+      } else if (typeof (value2) === "function") {
+        return value2
+      } else {
+        return bindMergeFunction(unboundMerge.unflatten, value2, options)
+      }
+    }, "unflatten", [model, options])
+  },
+
+  /**
+   * Returns a matcher that matches an object with arbitrary (dynamic) property
+   * names, such as a map keyed by IDs, locales or dates, applying the value model
+   * to each property value. Properties whose value does not match are dropped.
+   * @param {any} valueModel The model to apply to each property value
+   * @param {DictionaryOptions} [options]
+   * @returns {matchFunction}
+   */
+  mapValues: function (valueModel, options) {
+    const keyFilter = makeKeyFilter(options?.keyPattern)
+    return factoryMatcher((data, context) => {
+      if (typeofEx(data) !== "object") {
+        return undefined
+      }
+      context ??= rootContext()
+      const result = {}
+      for (const [key, dataValue] of Object.entries(data)) {
+        if (keyFilter(key)) {
+          projectProperty(result, key, dataValue, valueModel, childContext(context, key, dataValue))
+        }
+      }
+      return result
+    }, "mapValues", [valueModel, options])
+  },
+
+  /**
+   * Returns a matcher that matches an object with arbitrary (dynamic) property names
+   * like makeMatch.mapValues(), but returns the result as an array of {key, value}
+   * records (in the order of the properties in the data)
+   * @param {any} valueModel The model to apply to each property value
+   * @param {DictionaryOptions} [options]
+   * @returns {matchFunction}
+   */
+  entries: function (valueModel, options) {
+    const keyName = options?.keyName ?? "key"
+    const valueName = options?.valueName ?? "value"
+    const dictionaryMatcher = makeMatch.mapValues(valueModel, options)
+    return factoryMatcher((data, context) => {
+      const dictionary = dictionaryMatcher(data, context)
+      if (dictionary === undefined) {
+        return undefined
+      }
+      return Object.entries(dictionary).map(([key, value]) => ({ [keyName]: key, [valueName]: value }))
+    }, "entries", [valueModel, options])
+  },
+
+  /**
+   * Returns a matcher that is the inverse of makeMatch.entries(): it matches an array
+   * of {key, value} records and returns an object with a property for each record,
+   * applying the value model to each value. Records that are not objects, have no
+   * string or number key, or whose value does not match are dropped.
+   * @param {any} valueModel The model to apply to each value
+   * @param {DictionaryOptions} [options]
+   * @returns {matchFunction}
+   */
+  fromEntries: function (valueModel, options) {
+    const keyName = options?.keyName ?? "key"
+    const valueName = options?.valueName ?? "value"
+    const keyFilter = makeKeyFilter(options?.keyPattern)
+    return factoryMatcher((data, context) => {
+      if (!Array.isArray(data)) {
+        return undefined
+      }
+      context ??= rootContext()
+      const result = {}
+      for (const [index, entry] of data.entries()) {
+        const entryContext = childContext(context, index, entry)
+        const key = typeofEx(entry) === "object" ? entry[keyName] : undefined
+        if (typeof (key) !== "string" && typeof (key) !== "number") {
+          reportIssue(entryContext, "mismatch", `{${keyName}, ${valueName}} record`, entry)
+        } else if (keyFilter(String(key))) {
+          const valueContext = childContext(entryContext, valueName, entry[valueName])
+          projectProperty(result, String(key), entry[valueName], valueModel, valueContext)
+        }
+      }
+      return result
+    }, "fromEntries", [valueModel, options])
+  },
+
+  /**
+   * Returns a matcher that matches the array model and converts the resulting
+   * array into an object, using the value at the key path of each element as its
+   * property name. Elements without a string or number key are dropped.
+   * If several elements have the same key, the last one wins.
+   * @param {any} model The array model (or a matcher producing an array)
+   * @param {string | ((element: any) => any)} keyPath The dot separated path of the key
+   * in each projected element, or a function returning the key
+   * @returns {matchFunction}
+   */
+  keyBy: function (model, keyPath) {
+    const getKey = makeKeyGetter(keyPath)
+    return factoryMatcher(arrayPostProcessor(model, (array) => {
+      const result = {}
+      for (const element of array) {
+        const key = getKey(element)
+        if (typeof (key) === "string" || typeof (key) === "number") {
+          defineOwn(result, key, element)
+        }
+      }
+      return result
+    }), "keyBy", [model, keyPath])
+  },
+
+  /**
+   * Returns a matcher that matches the array model and groups the elements of
+   * the resulting array into an object that maps the value at the key path
+   * to the array of elements with that key. Elements without a string or number
+   * key are dropped.
+   * @param {any} model The array model (or a matcher producing an array)
+   * @param {string | ((element: any) => any)} keyPath The dot separated path of the key
+   * in each projected element, or a function returning the key
+   * @returns {matchFunction}
+   */
+  groupBy: function (model, keyPath) {
+    const getKey = makeKeyGetter(keyPath)
+    return factoryMatcher(arrayPostProcessor(model, (array) => {
+      const result = {}
+      for (const element of array) {
+        const key = getKey(element)
+        if (typeof (key) === "string" || typeof (key) === "number") {
+          if (!Object.hasOwn(result, key)) {
+            defineOwn(result, key, [])
+          }
+          result[key].push(element)
+        }
+      }
+      return result
+    }), "groupBy", [model, keyPath])
+  },
+
+  /**
+   * Returns a matcher that matches the array model and sorts the resulting array
+   * by the value at the key path. The sort is stable, and elements without a key
+   * are sorted last.
+   * @param {any} model The array model (or a matcher producing an array)
+   * @param {string | ((element: any) => any)} keyPath The dot separated path of the
+   * sort key in each projected element, or a function returning the sort key
+   * @param {"asc" | "desc"} [direction] The sort direction (default "asc")
+   * @returns {matchFunction}
+   */
+  sortBy: function (model, keyPath, direction) {
+    const getKey = makeKeyGetter(keyPath)
+    if (direction !== undefined && direction !== "asc" && direction !== "desc") {
+      throw new Error(`Expecting sort direction "asc" or "desc"`)
+    }
+    const sign = direction === "desc" ? -1 : 1
+    return factoryMatcher(arrayPostProcessor(model, (array) => {
+      const keyed = array.map((element) => ({ element, key: getKey(element) }))
+      keyed.sort((a, b) => {
+        const aMissing = a.key === undefined || a.key === null
+        const bMissing = b.key === undefined || b.key === null
+        if (aMissing || bMissing) {
+          return aMissing - bMissing
+        }
+        return a.key < b.key ? -sign : a.key > b.key ? sign : 0
+      })
+      return keyed.map(({ element }) => element)
+    }), "sortBy", [model, keyPath, direction])
+  },
+
+  /**
+   * Returns a matcher that matches the array model and removes duplicates from
+   * the resulting array, keeping the first occurrence. Elements are compared by
+   * the value at the key path, or structurally if no key path is given.
+   * @param {any} model The array model (or a matcher producing an array)
+   * @param {string | ((element: any) => any)} [keyPath] The dot separated path of the
+   * key in each projected element, or a function returning the key
+   * @returns {matchFunction}
+   */
+  unique: function (model, keyPath) {
+    const getKey = keyPath === undefined ? (element) => element : makeKeyGetter(keyPath)
+    return factoryMatcher(arrayPostProcessor(model, (array) => {
+      const seen = new Set()
+      return array.filter((element) => {
+        const key = getKey(element)
+        const keyId = typeof (key) === "object" ? JSON.stringify(key) : `${typeof (key)}:${key}`
+        if (seen.has(keyId)) {
+          return false
+        }
+        seen.add(keyId)
+        return true
+      })
+    }), "unique", [model, keyPath])
+  },
+
+  /**
+   * Returns a matcher that matches the array model and keeps only the first
+   * n elements of the resulting array (or the last -n elements if n is negative)
+   * @param {any} model The array model (or a matcher producing an array)
+   * @param {number} n The number of elements to keep
+   * @returns {matchFunction}
+   */
+  take: function (model, n) {
+    if (!Number.isInteger(n)) {
+      throw new Error(`Expecting an integer number of elements to take`)
+    }
+    return factoryMatcher(arrayPostProcessor(model, (array) => n < 0 ? array.slice(n) : array.slice(0, n)), "take", [model, n])
+  },
+
+  /**
+   * Returns a matcher that matches the model with the given name in the active model
+   * library. The reference is resolved at projection time, so models can refer to
+   * each other (or to themselves, for tree shaped data) regardless of definition order.
+   * The active library is the library passed to projectToModel() (or the "library"
+   * option if projectToModel() is called with a model instead of a library).
+   * @param {string} name The name of the model in the library
+   * @returns {matchFunction}
+   */
+  ref: function (name) {
+    if (typeof (name) !== "string" || name === "") {
+      throw new Error(`Expecting a model name`)
+    }
+    return factoryMatcher(describedMatcher((data, context) => {
+      context ??= rootContext()
+      const library = context.state.library
+      if (!library) {
+        throw new Error(`Cannot resolve model reference "${name}": there is no active model library`)
+      }
+      const model = library[name]
+      if (model === undefined) {
+        const modelNames = Object.keys(library).join(", ")
+        throw new Error(`Unknown model "${name}" referenced at ${contextPath(context)}. Known model names are: ${modelNames}`)
+      }
+      return projectAny(data, model, context)
+    }, `model "${name}"`), "ref", [name])
+  },
+
+  /**
+   * Wraps a context-aware matcher function. Unlike plain matcher functions, the wrapped
+   * function receives a MatcherContext as its second argument, describing where the data
+   * sits in the input document: its JSON path, its parent, the root of the document and
+   * the active model library. This allows computed values that depend on siblings or on
+   * lookup tables elsewhere in the input, and error messages that include a location.
+   * @param {(data: any, context: MatcherContext) => any} fn The context-aware matcher.
+   * Like any matcher it returns the projection result, a merge function or undefined.
+   * @returns {matchFunction}
+   */
+  withContext: function (fn) {
+    if (typeof (fn) !== "function") {
+      throw new Error(`Expecting a matcher function`)
+    }
+    return factoryMatcher((data, context) => {
+      context ??= rootContext({ root: data })
+      const matcherContext = {
+        get path() {
+          return contextPath(context)
+        },
+        key: context.key,
+        parent: context.parent?.data,
+        root: context.state.root,
+        library: context.state.library,
+        project: (data, model) => projectAny(data, model, context),
+      }
+      return fn(data, matcherContext)
+    }, "withContext", [fn])
+  },
+
+  /**
+   * Returns a matcher that matches the model, but returns the fallback value if
+   * the data is absent or does not match. Unlike most matchers, this one is also
+   * applied to keys of an object model that are absent in the data.
+   * @param {any} model The model to match
+   * @param {any} fallback The value to use if the data is absent or does not match
+   * @returns {matchFunction}
+   */
+  default: function (model, fallback) {
+    if (fallback === undefined || typeof (fallback) === "function") {
+      throw new Error(`Expecting a JSON compatible fallback value`)
+    }
+    return factoryMatcher(matchesAbsent(describedMatcher((data, context) => {
+      const result = data === undefined ? undefined : projectAny(data, model, context)
+      return result !== undefined ? result : structuredClone(fallback)
+    }, describeModel(model))), "default", [model, fallback])
+  },
+
+  /**
+   * Returns a matcher that ignores the data and always returns the given value.
+   * It is also applied to keys of an object model that are absent in the data,
+   * so it can add properties that do not exist in the input at all.
+   * @param {any} value The constant value
+   * @returns {matchFunction}
+   */
+  constant: function (value) {
+    if (value === undefined || typeof (value) === "function") {
+      throw new Error(`Expecting a JSON compatible constant value`)
+    }
+    return factoryMatcher(matchesAbsent(describedMatcher(() => structuredClone(value), `constant ${JSON.stringify(value)}`)), "constant", [value])
+  },
+
+  /**
+   * Returns a matcher for a computed property in an object model. The compute
+   * function is passed the host object as built so far (containing the results
+   * for the model keys before this one) and the source data object, and returns
+   * the value for the property (or undefined to leave it out). The key does not
+   * need to exist in the data; it is the name of the output property.
+   * @param {(hostObject: Object.<string,any>, source: Object.<string,any>) => any} fn
+   * The compute function
+   * @returns {matchFunction}
+   */
+  computed: function (fn) {
+    if (typeof (fn) !== "function") {
+      throw new Error(`Expecting a compute function`)
+    }
+    return factoryMatcher(matchesAbsent((data, context) => {
+      const source = context?.parent?.data
+      return ({ hostObject, hostKey }) => {
+        if (!hostObject || hostKey === undefined) {
+          throw new Error(`Expecting a host object to store the computed value in ("computed" can only be used in objects, not arrays)`)
+        }
+        const value = fn(hostObject, source)
+        if (value !== undefined) {
+          hostObject[hostKey] = value
+        }
+      }
+    }), "computed", [fn])
+  },
+
+  /**
+   * Returns a matcher that converts numbers, numeric strings (such as "42") and
+   * booleans (to 1 or 0) to numbers.
+   * @param {{strict?: boolean}} [options] If strict, values that cannot be converted
+   * do not match. Otherwise they project to null.
+   * @returns {matchFunction}
+   */
+  toNumber: function (options) {
+    return factoryMatcher(coercingMatcher(convertToNumber, "number (or convertible)", options), "toNumber", [options])
+  },
+
+  /**
+   * Returns a matcher that converts numbers, numeric strings and booleans to integers,
+   * rounding as specified
+   * @param {{strict?: boolean, rounding?: "round"|"floor"|"ceil"|"trunc"|"exact"}} [options]
+   * The rounding mode (default "round"; "exact" rejects numbers that are not integers),
+   * and whether values that cannot be converted do not match (strict) or project to null.
+   * @returns {matchFunction}
+   */
+  toInteger: function (options) {
+    const rounding = options?.rounding ?? "round"
+    if (!["round", "floor", "ceil", "trunc", "exact"].includes(rounding)) {
+      throw new Error(`Unknown rounding mode "${rounding}"`)
+    }
+    return factoryMatcher(coercingMatcher((data) => {
+      const value = convertToNumber(data)
+      if (value === undefined || rounding === "exact") {
+        return Number.isInteger(value) ? value : undefined
+      }
+      return Math[rounding](value)
+    }, "integer (or convertible)", options), "toInteger", [options])
+  },
+
+  /**
+   * Returns a matcher that converts booleans, the numbers 1 and 0, and the strings
+   * "true"/"false", "yes"/"no", "on"/"off" and "1"/"0" (ignoring case) to booleans
+   * @param {{strict?: boolean}} [options] If strict, values that cannot be converted
+   * do not match. Otherwise they project to null.
+   * @returns {matchFunction}
+   */
+  toBoolean: function (options) {
+    return factoryMatcher(coercingMatcher((data) => {
+      switch (typeof (data)) {
+        case "boolean":
+          return data
+        case "number":
+          return data === 1 ? true : data === 0 ? false : undefined
+        case "string":
+          return booleanStrings.get(data.trim().toLowerCase())
+        default:
+          return undefined
+      }
+    }, "boolean (or convertible)", options), "toBoolean", [options])
+  },
+
+  /**
+   * Returns a matcher that converts strings, numbers and booleans to strings,
+   * optionally normalising the result
+   * @param {StringOptions} [options]
+   * @returns {matchFunction}
+   */
+  toString: function (options) {
+    return factoryMatcher(coercingMatcher((data) => {
+      switch (typeof (data)) {
+        case "string":
+          return normalizeString(data, options)
+        case "number":
+        case "boolean":
+          return normalizeString(String(data), options)
+        default:
+          return undefined
+      }
+    }, "string (or convertible)", options), "toString", [options])
+  },
+
+  /**
+   * Returns a matcher that only matches strings, normalising them as specified.
+   * Without options, the string is trimmed.
+   * @param {StringOptions} [options]
+   * @returns {matchFunction}
+   */
+  normalize: function (options) {
+    options ??= { trim: true }
+    return factoryMatcher(describedMatcher((data) => {
+      return typeof (data) === "string" ? normalizeString(data, options) : undefined
+    }, "string"), "normalize", [options])
+  },
+
+  /**
+   * Returns a matcher that converts dates in various formats to a normalised format.
+   * Accepted inputs are epoch numbers (or strings of digits), ISO-8601 strings
+   * (interpreted as UTC if they have no time zone), numeric dates such as "31.12.2024"
+   * or "12/31/2024" (see the dayFirst option), and textual dates that Date.parse() accepts
+   * (such as "Tue, 02 Jan 2024 10:00:00 GMT").
+   * @param {"iso" | "date" | "epoch" | "epochSeconds"} [format] The output format: an
+   * ISO-8601 timestamp (default), an ISO-8601 date (YYYY-MM-DD), or the epoch time in
+   * milliseconds or seconds
+   * @param {DateOptions} [options]
+   * @returns {matchFunction}
+   */
+  date: function (format, options) {
+    format ??= "iso"
+    const formatters = {
+      iso: (date) => date.toISOString(),
+      date: (date) => date.toISOString().slice(0, 10),
+      epoch: (date) => date.getTime(),
+      epochSeconds: (date) => Math.floor(date.getTime() / 1000),
+    }
+    const formatter = formatters[format]
+    if (!formatter) {
+      throw new Error(`Unknown date format "${format}"; expecting one of ${Object.keys(formatters).join(", ")}`)
+    }
+    return factoryMatcher(coercingMatcher((data) => {
+      const date = parseDate(data, options)
+      return date && formatter(date)
+    }, "date", options), "date", [format, options])
+  },
+
+  /**
+   * Returns a matcher that only matches data equal to the given value
+   * (compared structurally for objects and arrays), returning the data
+   * @param {any} value The value to compare to
+   * @returns {matchFunction}
+   */
+  equals: function (value) {
+    return factoryMatcher(describedMatcher(
+      (data) => deepEqual(data, value) ? data : undefined,
+      `equals ${JSON.stringify(value)}`), "equals", [value])
+  },
+
+  /**
+   * Returns a matcher that only matches data equal to one of the given values
+   * (compared structurally for objects and arrays), returning the data
+   * @param {any[]} values The allowed values
+   * @returns {matchFunction}
+   */
+  oneOf: function (values) {
+    if (!Array.isArray(values)) {
+      throw new Error(`Expecting an array of allowed values`)
+    }
+    return factoryMatcher(describedMatcher(
+      (data) => values.some((value) => deepEqual(data, value)) ? data : undefined,
+      `one of ${JSON.stringify(values)}`), "oneOf", [values])
+  },
+
+  /**
+   * Returns a matcher that only matches strings matching the regular expression,
+   * returning the data
+   * @param {RegExp} regex The regular expression to test strings against
+   * @returns {matchFunction}
+   */
+  regex: function (regex) {
+    return factoryMatcher(describedMatcher((data) => {
+      if (typeof (data) !== "string") {
+        return undefined
+      }
+      regex.lastIndex = 0 // in case of 'g' or 'y' flags
+      return regex.test(data) ? data : undefined
+    }, `string matching ${regex}`), "regex", [regex])
+  },
+
+  /**
+   * Returns a matcher that only matches values in the range min..max (inclusive),
+   * returning the data. The bounds are either numbers or strings (for instance ISO
+   * dates), and only data of the same type matches. Either bound may be undefined
+   * (or null) to leave the range open at that side.
+   * @param {number | string | undefined} min The minimum value
+   * @param {number | string | undefined} max The maximum value
+   * @returns {matchFunction}
+   */
+  range: function (min, max) {
+    const type = typeof (min ?? max)
+    if (type !== "number" && type !== "string") {
+      throw new Error(`Expecting number or string bounds for a range`)
+    }
+    return factoryMatcher(describedMatcher((data) => {
+      if (typeof (data) !== type) {
+        return undefined
+      }
+      if ((min ?? undefined) !== undefined && data < min) {
+        return undefined
+      }
+      if ((max ?? undefined) !== undefined && data > max) {
+        return undefined
+      }
+      return data
+    }, `${type} in range ${JSON.stringify(min ?? null)}..${JSON.stringify(max ?? null)}`), "range", [min, max])
+  },
+
+  /**
+   * Returns a matcher that matches the model, and then accepts or rejects the result
+   * using the predicate. The predicate is either a function that is passed the projected
+   * result and the raw data, or an object mapping property names of the raw data to models
+   * (usually predicate matchers such as makeMatch.equals()) that must all match.
+   * @param {any} model The model to match
+   * @param {((projected: any, data: any) => boolean) | Object.<string,any>} predicate
+   * @returns {matchFunction}
+   */
+  where: function (model, predicate) {
+    let test = (projected, data) => predicate(projected, data)
+    if (typeofEx(predicate) === "object") {
+      const conditions = Object.entries(predicate)
+      test = (projected, data, context) => {
+        if (typeofEx(data) !== "object") {
+          return false
+        }
+        // the conditions are evaluated in the context of the data (so they can use the
+        // library, for instance), but they are only tests, so they report no issues
+        const testContext = { ...context, state: { ...context.state, report: undefined } }
+        return conditions.every(([key, condition]) =>
+          projectAny(data[key], condition, childContext(testContext, key, data[key])) !== undefined)
+      }
+    } else if (typeof (predicate) !== "function") {
+      throw new Error(`Expecting a predicate function or an object of conditions`)
+    }
+    return factoryMatcher((data, context) => {
+      context ??= rootContext()
+      const report = context.state.report
+      const mark = report?.length
+      const result = projectAny(data, model, context)
+      if (result === undefined || test(result, data, context)) {
+        return result
+      }
+      if (report) {
+        discardExplanations(report, mark)
+      }
+      reportIssue(context, "rejected", "where predicate", data)
+      return undefined
+    }, "where", [model, predicate])
+  },
+
+  /**
+   * Returns a matcher that matches an array by position (a tuple), instead of
+   * trying a list of alternative models for every element like array models do.
+   * Each element is matched to the model at the same index. Elements that do
+   * not match become null (or are left out if the tuple is converted to an object).
+   * @param {any[]} models The model for each position
+   * @param {TupleOptions} [options]
+   * @returns {matchFunction}
+   */
+  tuple: function (models, options) {
+    if (!Array.isArray(models)) {
+      throw new Error(`Expecting an array of models, one for each position`)
+    }
+    const names = options?.names
+    if (names !== undefined && (!Array.isArray(names) || names.length !== models.length)) {
+      throw new Error(`Expecting one name for each position in the tuple`)
+    }
+    return factoryMatcher(describedMatcher((data, context) => {
+      return projectTuple(data, models, options ?? {}, context ?? rootContext())
+    }, `tuple of ${models.length}`), "tuple", [models, options])
+  },
+
+  /**
+   * Returns a matcher that spreads the projected value into its host: in an array,
+   * each element of the projected child array is appended to the host array (instead
+   * of appending the child array as a whole); in an object, the properties of the
+   * projected child object are merged into the host object.
+   * @param {any} model The model for the child array or object
+   * @returns {matchFunction}
+   */
+  spread: function (model) {
+    return factoryMatcher(describedMatcher((data, context) => {
+      const value = projectAny(data, model, context)
+      const valueType = typeofEx(value)
+      if (valueType !== "object" && valueType !== "array") {
+        return undefined
+      }
+      return bindMergeFunction(unboundMerge.spread, value)
+    }, describeModel(model)), "spread", [model])
+  },
+
+  /**
+   * Returns a matcher for use in array models, that matches the model and then
+   * "explodes" the projected object into one output row per element of the array in
+   * the given field. Each row is a copy of the projected object, with the array field
+   * replaced by one of its elements. If the field is not an array, the projected
+   * object is appended as is.
+   * @param {Object.<string,any>} model The model for the object to explode
+   * @param {string} field The name of the array field to explode
+   * @param {ExplodeOptions} [options]
+   * @returns {matchFunction}
+   */
+  explode: function (model, field, options) {
+    if (typeof (field) !== "string" || field === "") {
+      throw new Error(`Expecting the name of the field to explode`)
+    }
+    return factoryMatcher(describedMatcher((data, context) => {
+      const value = projectAny(data, model, context)
+      if (typeofEx(value) !== "object") {
+        return undefined
+      }
+      return bindMergeFunction(unboundMerge.explode, value, { ...options, field })
+    }, describeModel(model)), "explode", [model, field, options])
+  },
+
+  /**
+   * Returns a matcher that matches the model, but stores the result in the host
+   * object under a different property name. If the model itself produces a merge
+   * function (for instance makeMatch.flatten()), that merge function is passed the
+   * new name as host key instead. In arrays the name is irrelevant and the value
+   * is appended as usual.
+   * @param {string} name The name of the output property
+   * @param {any} model The model to match
+   * @returns {matchFunction}
+   */
+  as: function (name, model) {
+    if (typeof (name) !== "string" || name === "") {
+      throw new Error(`Expecting a non-empty property name`)
+    }
+    return factoryMatcher(describedMatcher((data, context) => {
+      const value = projectAny(data, model, context)
+      if (value === undefined) {
+        return undefined
+      } else if (typeof (value) === "function") {
+        return (args) => value(args.hostObject ? { ...args, hostKey: name } : args)
+      } else {
+        return bindMergeFunction(unboundMerge.rename, value, { name })
+      }
+    }, describeModel(model)), "as", [name, model])
+  },
+
+}
+
+/**
+ * A namespace object holding a selection of unbound merge functions
+ * {(args:MergeArguments,value:any) => undefined}. 
+ * Use bindMergFunction() to bind these into bound merge functions.
+ * An unbound merge function takes a MergeArguments target descriptor
+ * and a value to insert that value into the target array or object
+ * in some way other than usual.
+ * @type {Object.<string,unboundMergeFunction>}
+ */
+export const unboundMerge = {
+  /**
+   * The unbound merge function backing the "makeMatch.flatten" functionality
+   * @param {MergeArguments} args 
+   * @param {any} value 
+   * @param {FlattenOptions} [options]
+   */
+  flatten: function (args, value, options) {
+    if (value === undefined) {
+      throw new Error(`Not expecting value 'undefined' here. Did you try to call this without binding?`)
+    }
+    const { hostObject, hostKey } = args
+    if (!hostObject || hostKey === undefined) {
+      throw new Error(`Expecting a host object to merge data into and a key ("flatten" can only be used in objects, not arrays)`)
+    }
+    const separator = options?.separator ?? "-"
+    const deep = options?.deep === true
+    const addProperties = (prefix, container) => {
+      for (const [k, v] of Object.entries(container)) {
+        const key = prefix === "" ? k : `${prefix}${separator}${k}`
+        const valueType = typeofEx(v)
+        if (deep && (valueType === "object" || valueType === "array") && Object.keys(v).length > 0) {
+          addProperties(key, v)
+        } else {
+          defineOwn(hostObject, key, v)
+        }
+      }
+    }
+    addProperties(options?.prefix ?? hostKey, value)
   },
 
+  /**
+   * The unbound merge function backing the "makeMatch.unflatten" functionality.
+   * Splits the host key (or the prefix option) and the property names of the value
+   * into paths, and merges the value into the host object along those paths.
+   * In arrays, the unflattened value is appended.
+   * @param {MergeArguments} args 
+   * @param {any} value 
+   * @param {UnflattenOptions} [options]
+   */
+  unflatten: function (args, value, options) {
+    if (value === undefined) {
+      throw new Error(`Not expecting value 'undefined' here. Did you try to call this without binding?`)
+    }
+    const separator = options?.separator ?? "-"
+    const arrays = options?.arrays !== false
+    if (typeofEx(value) === "object") {
+      value = unflattenObject(value, separator, arrays)
+    }
+    const { hostObject, hostKey, hostArray } = args
+    if (hostArray) {
+      hostArray.push(value)
+      return
+    }
+    if (!hostObject || hostKey === undefined) {
+      throw new Error(`Expecting a host object or array to merge data into`)
+    }
+    const prefix = options?.prefix ?? hostKey
+    const path = prefix === "" ? [] : prefix.split(separator)
+    if (path.length === 0 && typeofEx(value) !== "object") {
+      throw new Error(`Can only merge an object into the host object when there is no key`)
+    }
+    setPath(hostObject, path, value)
+  },
+
+  /**
+   * The unbound merge function backing the "makeMatch.spread" functionality: appends
+   * the elements of an array value to the host array, or merges the properties of an
+   * object value into the host object
+   * @param {MergeArguments} args 
+   * @param {any[] | Object.<string,any>} value 
+   */
+  spread: function (args, value) {
+    if (value === undefined) {
+      throw new Error(`Not expecting value 'undefined' here. Did you try to call this without binding?`)
+    }
+    const { hostArray, hostObject } = args
+    if (hostArray) {
+      hostArray.push(...(Array.isArray(value) ? value : [value]))
+    } else if (hostObject) {
+      if (typeofEx(value) !== "object") {
+        throw new Error(`Expecting an object to spread into the host object`)
+      }
+      for (const [k, v] of Object.entries(value)) {
+        defineOwn(hostObject, k, v)
+      }
+    } else {
+      throw new Error(`Expecting a host object or host array to merge data into`)
+    }
+  },
+
+  /**
+   * The unbound merge function backing the "makeMatch.explode" functionality:
+   * appends one row per element of the array in the field named in the options
+   * to the host array. The other fields are copied into each row.
+   * @param {MergeArguments} args 
+   * @param {Object.<string,any>} value 
+   * @param {ExplodeOptions & {field: string}} options
+   */
+  explode: function (args, value, options) {
+    if (value === undefined) {
+      throw new Error(`Not expecting value 'undefined' here. Did you try to call this without binding?`)
+    }
+    const { hostArray } = args
+    if (!hostArray) {
+      throw new Error(`Expecting a host array to merge data into ("explode" can only be used in arrays, not objects)`)
+    }
+    const field = options?.field
+    if (!field) {
+      throw new Error(`Expecting the name of the field to explode as "field" option`)
+    }
+    const elements = value[field]
+    if (!Array.isArray(elements)) {
+      hostArray.push(value)
+      return
+    }
+    const as = options.as ?? field
+    const makeRow = (element) => {
+      const row = {}
+      for (const [k, v] of Object.entries(value)) {
+        if (k !== field) {
+          defineOwn(row, k, v)
+        } else if (options.flatten && typeofEx(element) === "object") {
+          const flattenOptions = options.flatten === true ? undefined : options.flatten
+          unboundMerge.flatten({ hostObject: row, hostKey: as }, element, flattenOptions)
+        } else if (element !== undefined) {
+          defineOwn(row, as, element)
+        }
+      }
+      return row
+    }
+    if (elements.length === 0) {
+      if (options.keepEmpty) {
+        hostArray.push(makeRow(undefined))
+      }
+    } else {
+      for (const element of elements) {
+        hostArray.push(makeRow(element))
+      }
+    }
+  },
+
+  /**
+   * The unbound merge function backing the "makeMatch.as" functionality: stores
+   * the value in the host object under the name given in the options instead of
+   * the host key. In arrays the value is appended as usual.
+   * @param {MergeArguments} args 
+   * @param {any} value 
+   * @param {{name: string}} options The new property name
+   */
+  rename: function (args, value, options) {
+    if (value === undefined) {
+      throw new Error(`Not expecting value 'undefined' here. Did you try to call this without binding?`)
+    }
+    const name = options?.name
+    if (!name) {
+      throw new Error(`Expecting the new property name as "name" option`)
+    }
+    const { hostObject, hostArray } = args
+    if (hostObject) {
+      hostObject[name] = value
+    } else if (hostArray) {
+      hostArray.push(value)
+    } else {
+      throw new Error(`Expecting a host object or host array to merge data into`)
+    }
+  },
+
+}
+
+/**
+ * Options for makeMatch.mapValues(), makeMatch.entries() and makeMatch.fromEntries()
+ * @typedef {Object} DictionaryOptions
+ * @property {RegExp | ((key: string) => boolean)} [keyPattern] If provided, only the
+ * properties whose name matches this regular expression or predicate are kept
+ * @property {string} [keyName] The name of the key property in {key, value} records
+ * (default "key")
+ * @property {string} [valueName] The name of the value property in {key, value} records
+ * (default "value")
+ */
+
+/**
+ * Options for makeMatch.tuple()
+ * @typedef {Object} TupleOptions
+ * @property {any} [rest] The model for the elements beyond the positions of the tuple.
+ * Elements that do not match are dropped. If undefined, these elements are all dropped
+ * @property {string[]} [names] If provided, the tuple is converted to an object, using these
+ * names (one for each position) as property names
+ * @property {string} [restName] The property name for the array of rest elements when the
+ * tuple is converted to an object (default "rest")
+ * @property {boolean} [exact] If true, the tuple only matches if the data array has exactly
+ * the same length as the tuple (or at least that length, if there is a rest model)
+ */
+
+/**
+ * Options for makeMatch.explode() and unboundMerge.explode()
+ * @typedef {Object} ExplodeOptions
+ * @property {string} [as] The name of the field holding the element in each row
+ * (default: the name of the exploded field)
+ * @property {boolean | FlattenOptions} [flatten] If set, object elements are flattened
+ * into the row (as by unboundMerge.flatten()) instead of being stored as one field
+ * @property {boolean} [keepEmpty] If true, an object whose array is empty still
+ * produces one row (without the exploded field). By default it produces no rows
+ */
+
+/**
+ * Options for makeMatch.toString() and makeMatch.normalize()
+ * @typedef {Object} StringOptions
+ * @property {boolean} [trim] If true, remove leading and trailing whitespace
+ * @property {"lower" | "upper"} [case] Convert the string to lower or upper case
+ * @property {boolean} [collapseWhitespace] If true, replace each run of whitespace by a single space
+ * @property {boolean} [strict] (makeMatch.toString() only) If true, values that cannot be
+ * converted do not match. Otherwise they project to null
+ */
+
+/**
+ * Options for makeMatch.date()
+ * @typedef {Object} DateOptions
+ * @property {boolean} [dayFirst] If true, numeric dates like "01/02/2024" are read as day first
+ * (1 February). By default they are read as month first (2 January)
+ * @property {"ms" | "s"} [epochUnit] The unit of epoch numbers in the input (default "ms")
+ * @property {boolean} [epochStrings] If true, strings of digits such as "1704067200000" are
+ * read as epoch numbers too. By default they do not match, as they may well be dates
+ * like "20240101"
+ * @property {boolean} [strict] If true, values that cannot be converted do not match.
+ * Otherwise they project to null
+ */
+
+/**
+ * Options for makeMatch.flatten() and unboundMerge.flatten()
+ * @typedef {Object} FlattenOptions
+ * @property {string} [separator] The separator between the parts of the generated
+ * property names (default "-")
+ * @property {string} [prefix] The prefix for the generated property names, instead of
+ * the host key. Use "" to merge the properties without prefix
+ * @property {boolean} [deep] If true, nested objects and arrays are flattened recursively,
+ * down to leaf values (using array indices as name parts). By default only one level
+ * is flattened
+ */
+
+/**
+ * Options for makeMatch.unflatten() and unboundMerge.unflatten()
+ * @typedef {Object} UnflattenOptions
+ * @property {string} [separator] The separator between the parts of the
+ * property names (default "-")
+ * @property {string} [prefix] The path to merge the value into, instead of the host key.
+ * Use "" to merge the value into the host object itself
+ * @property {boolean} [arrays] If true (default), rebuilt objects whose property names
+ * are exactly "0", "1", ... are converted to arrays
+ */
+
+/**
+ * Set a value at a path in a target object, creating intermediate objects as needed.
+ * If both the existing value and the new value are objects, they are merged.
+ * Paths with an unsafe segment (see isUnsafeKey()) are skipped.
+ * @param {Object.<string,any>} target 
+ * @param {string[]} path 
+ * @param {any} value 
+ */
+function setPath(target, path, value) {
+  if (path.some(isUnsafeKey)) {
+    return
+  }
+  for (const part of path.slice(0, -1)) {
+    if (typeofEx(ownValue(target, part)) !== "object") {
+      defineOwn(target, part, {})
+    }
+    target = target[part]
+  }
+  if (path.length === 0) {
+    for (const [k, v] of Object.entries(value)) {
+      setPath(target, [k], v)
+    }
+    return
+  }
+  const last = path[path.length - 1]
+  if (typeofEx(ownValue(target, last)) === "object" && typeofEx(value) === "object") {
+    setPath(target[last], [], value)
+  } else {
+    defineOwn(target, last, value)
+  }
+}
+
+/**
+ * Convert objects whose property names are exactly "0", "1", ... to arrays, recursively
+ * @param {any} value 
+ * @returns {any}
+ */
+function restoreArrays(value) {
+  switch (typeofEx(value)) {
+    case "array":
+      return value.map(restoreArrays)
+    case "object":
+      const entries = Object.entries(value)
+      const converted = entries.map(([k, v]) => [k, restoreArrays(v)])
+      if (entries.length > 0 && entries.every(([k], index) => k === String(index))) {
+        return converted.map(([k, v]) => v)
+      }
+      return Object.fromEntries(converted)
+    default:
+      return value
+  }
+}
+
+/**
+ * Rebuild a nested object from an object with delimited property names
+ * (the inverse of a deep flatten)
+ * @param {Object.<string,any>} flat The object with delimited property names
+ * @param {string} separator The delimiter
+ * @param {boolean} arrays If true, convert objects with index property names to arrays
+ * @returns {Object.<string,any> | any[]}
+ */
+function unflattenObject(flat, separator, arrays) {
+  const result = {}
+  for (const [key, value] of Object.entries(flat)) {
+    setPath(result, key.split(separator), value)
+  }
+  return arrays ? restoreArrays(result) : result
+}
+
+// ------------------------------------------------------------------------
+// Compiled models
+
+/**
+ * For each makeMatch factory, the models among the arguments of the matchers it
+ * creates, as [label, model, expected model type] triples. The label distinguishes
+ * arguments in model paths, the expected type is "object", "array" or undefined (any).
+ * @type {Object.<string, (args: any[]) => [string, any, string?][]>}
+ */
+const factoryModelArguments = {
+  object: ([model]) => [["", model, "object"]],
+  required: ([model]) => [["", model]],
+  array: ([model]) => [["", model, "array"]],
+  notEmpty: ([model]) => [["", model]],
+  arrayTransformed: ([model]) => [["", model, "array"]],
+  firstMatch: ([models]) => [["", models, "array"]],
+  firstOneValue: ([models]) => [["", models, "array"]],
+  firstNotEmpty: ([model]) => [["", model, "array"]],
+  transform: ([model]) => [["", model]],
+  flatten: ([model]) => [["", model]],
+  unflatten: ([model]) => [["", model]],
+  mapValues: ([model]) => [["", model]],
+  entries: ([model]) => [["", model]],
+  fromEntries: ([model]) => [["", model]],
+  keyBy: ([model]) => [["", model]],
+  groupBy: ([model]) => [["", model]],
+  sortBy: ([model]) => [["", model]],
+  unique: ([model]) => [["", model]],
+  take: ([model]) => [["", model]],
+  default: ([model]) => [["", model]],
+  where: ([model, predicate]) => [["", model],
+    ...(typeofEx(predicate) === "object" ? Object.entries(predicate).map(([key, condition]) => [key, condition]) : [])],
+  tuple: ([models, options]) => [["", models, "array"], ...(options?.rest !== undefined ? [["rest", options.rest]] : [])],
+  spread: ([model]) => [["", model]],
+  explode: ([model]) => [["", model]],
+  as: ([name, model]) => [["", model]],
+}
+
+/**
+ * Find a cycle of model references that does not descend into the data, such as
+ * a = makeMatch.ref("b") and b = makeMatch.ref("a"), which would recurse endlessly when
+ * projecting. Only the models applied to the same data node are followed: references,
+ * alternatives and the model arguments of matchers, but not object and array models.
+ * @param {any} model The model node
+ * @param {Object.<string,any>} library The library that references are resolved in
+ * @param {string[]} chain The names of the models referenced so far
+ * @returns {string[] | undefined} The names of the models in the cycle (starting and
+ * ending with the same name), or undefined if there is none
+ */
+function findRefCycle(model, library, chain) {
+  if (typeof (model) !== "function" || !model.factory) {
+    return undefined
+  }
+  const { name, args } = model.factory
+  if (name === "ref") {
+    if (chain.includes(args[0])) {
+      return [...chain.slice(chain.indexOf(args[0])), args[0]]
+    }
+    return findRefCycle(ownValue(library, args[0]), library, [...chain, args[0]])
+  }
+  for (const [label, argument] of factoryModelArguments[name]?.(args) ?? []) {
+    const alternatives = (name === "firstMatch" || name === "firstOneValue") && Array.isArray(argument) ?
+      argument : [argument]
+    for (const alternative of label === "" ? alternatives : []) {
+      const cycle = findRefCycle(alternative, library, chain)
+      if (cycle) {
+        return cycle
+      }
+    }
+  }
+  return undefined
+}
+
+/**
+ * The state shared while compiling a model
+ * @typedef {Object} CompileState
+ * @property {Object.<string,any>} [library] The library that model references are
+ * checked against (and compiled from)
+ * @property {string} [modelName] The name of the model being compiled (for error messages)
+ * @property {Set<any>} visited The model nodes that were already visited (models may
+ * refer to themselves)
+ * @property {WeakMap<Object, matchFunction>} compiled The matchers of the object and array
+ * models compiled so far
+ */
+
+/**
+ * Validate a model node and its children, and precompile the object and array models
+ * among them (see compileModel())
+ * @param {any} model The model node
+ * @param {string} path The path of the node in the model, for error messages
+ * @param {CompileState} state
+ */
+function compileModelNode(model, path, state) {
+  const modelType = typeofEx(model)
+  switch (modelType) {
+    case "string":
+    case "number":
+    case "boolean":
+    case "null":
+    case "undefined":
+      return
+    case "array":
+    case "object":
+    case "function":
+      if (state.visited.has(model)) {
+        return
+      }
+      state.visited.add(model)
+      break
+    default:
+      throw new ModelError(`Unexpected model type "${modelType}"`, path, state.modelName)
+  }
+  if (modelType === "array") {
+    model.forEach((child, index) => compileModelNode(child, `${path}[${index}]`, state))
+    state.compiled.set(model, (data, context) => projectArray(data, model, undefined, undefined, context))
+  } else if (modelType === "object") {
+    const prototype = Object.getPrototypeOf(model)
+    if (prototype !== Object.prototype && prototype !== null) {
+      throw new ModelError(`Expecting a plain object as model, not a ${model.constructor?.name ?? "class instance"}`,
+        path, state.modelName)
+    }
+    const entries = Object.entries(model)
+    for (const [key, child] of entries) {
+      const segment = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`
+      compileModelNode(child, path + segment, state)
+    }
+    // the matchers of the children are looked up on first use, since (self) references
+    // may not have been compiled yet
+    const compiledEntries = entries.map(([key, child]) => {
+      let matcher = undefined
+      return [key, child, (data, context) => (matcher ??= getModelMatcher(child, state.compiled))(data, context)]
+    })
+    state.compiled.set(model, (data, context) => projectObjectEntries(data, compiledEntries, context))
+  } else if (model.factory) {
+    const { name, args } = model.factory
+    if (["transform", "arrayTransformed", "firstMatch"].includes(name) &&
+      args[1] !== undefined && typeof (args[1]) !== "function") {
+      throw new ModelError(`Expecting a transform function for makeMatch.${name}()`, path, state.modelName)
+    }
+    if (name === "ref" && state.library) {
+      const referenced = state.library[args[0]]
+      if (referenced === undefined) {
+        const modelNames = Object.keys(state.library).join(", ")
+        throw new ModelError(`Unknown model "${args[0]}" referenced. Known model names are: ${modelNames}`,
+          path, state.modelName)
+      }
+      const cycle = findRefCycle(model, state.library, [])
+      if (cycle) {
+        throw new ModelError(`The model references ${cycle.map((name) => `"${name}"`).join(" -> ")} form a cycle that never descends into the data`,
+          path, state.modelName)
+      }
+      compileModelNode(referenced, "$", { ...state, modelName: args[0] })
+    }
+    for (const [label, argument, expected] of factoryModelArguments[name]?.(args) ?? []) {
+      const argumentPath = `${path}(${name}${label === "" ? "" : ":" + label})`
+      const argumentType = typeofEx(argument)
+      if (expected !== undefined && argumentType !== expected) {
+        throw new ModelError(`Expecting ${expected === "array" ? "an array" : "an object"} model for makeMatch.${name}(), not ${argumentType}`,
+          argumentPath, state.modelName)
+      }
+      compileModelNode(argument, argumentPath, state)
+    }
+  }
+}
+
+// ------------------------------------------------------------------------
+// Declarative model files
+
+/**
+ * A node in the syntax tree of a JSON text parsed by parseLocatedJson(),
+ * remembering where in the text it was found
+ * @typedef {Object} LocatedNode
+ * @property {"object" | "array" | "value"} type The kind of node
+ * @property {number} offset The offset of the node in the text
+ * @property {any} [value] The value (for "value" nodes)
+ * @property {{key: string, offset: number, node: LocatedNode}[]} [entries] The
+ * properties (for "object" nodes)
+ * @property {LocatedNode[]} [items] The elements (for "array" nodes)
+ */
+
+/**
+ * Format a location in a text as "fileName:line:column"
+ * @param {string} text 
+ * @param {number} offset 
+ * @param {string} fileName 
+ * @returns {string}
+ */
+function formatLocation(text, offset, fileName) {
+  const before = text.slice(0, offset)
+  const line = before.split("\n").length
+  const column = offset - before.lastIndexOf("\n")
+  return `${fileName}:${line}:${column}`
+}
+
+/**
+ * Parse a JSON text into a syntax tree that remembers the location of each node,
+ * so errors found while interpreting the content can point at their source.
+ * @param {string} text The JSON text
+ * @param {string} fileName The file name to use in error messages
+ * @returns {LocatedNode}
+ */
+function parseLocatedJson(text, fileName) {
+  let pos = 0
+  const fail = (message, at) => {
+    throw new Error(`${formatLocation(text, at ?? pos, fileName)}: ${message}`)
+  }
+  const skipWhitespace = () => {
+    while (pos < text.length && " \t\r\n".includes(text[pos])) {
+      pos++
+    }
+  }
+  const describeNext = () => pos < text.length ? `"${text[pos]}"` : "end of file"
+  const expect = (ch) => {
+    skipWhitespace()
+    if (text[pos] !== ch) {
+      fail(`Expecting "${ch}" but found ${describeNext()}`)
+    }
+    pos++
+  }
+  const matchAt = (pattern) => {
+    pattern.lastIndex = pos
+    const m = pattern.exec(text)
+    if (m) {
+      pos += m[0].length
+    }
+    return m?.[0]
+  }
+  const parseString = () => {
+    const token = matchAt(/"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y)
+    if (token === undefined) {
+      fail(`Invalid string`)
+    }
+    return JSON.parse(token)
+  }
+  const parseValue = () => {
+    skipWhitespace()
+    const offset = pos
+    const ch = text[pos]
+    if (ch === "{") {
+      pos++
+      const entries = []
+      skipWhitespace()
+      if (text[pos] === "}") {
+        pos++
+        return { type: "object", offset, entries }
+      }
+      while (true) {
+        skipWhitespace()
+        if (text[pos] !== '"') {
+          fail(`Expecting a property name but found ${describeNext()}`)
+        }
+        const keyOffset = pos
+        const key = parseString()
+        if (entries.some((entry) => entry.key === key)) {
+          fail(`Duplicate property "${key}"`, keyOffset)
+        }
+        expect(":")
+        entries.push({ key, offset: keyOffset, node: parseValue() })
+        skipWhitespace()
+        if (text[pos] === ",") {
+          pos++
+        } else if (text[pos] === "}") {
+          pos++
+          return { type: "object", offset, entries }
+        } else {
+          fail(`Expecting "," or "}" but found ${describeNext()}`)
+        }
+      }
+    } else if (ch === "[") {
+      pos++
+      const items = []
+      skipWhitespace()
+      if (text[pos] === "]") {
+        pos++
+        return { type: "array", offset, items }
+      }
+      while (true) {
+        items.push(parseValue())
+        skipWhitespace()
+        if (text[pos] === ",") {
+          pos++
+        } else if (text[pos] === "]") {
+          pos++
+          return { type: "array", offset, items }
+        } else {
+          fail(`Expecting "," or "]" but found ${describeNext()}`)
+        }
+      }
+    } else if (ch === '"') {
+      return { type: "value", offset, value: parseString() }
+    } else {
+      const token = matchAt(/true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y)
+      if (token === undefined) {
+        fail(`Unexpected ${describeNext()}`)
+      }
+      return { type: "value", offset, value: JSON.parse(token) }
+    }
+  }
+  const root = parseValue()
+  skipWhitespace()
+  if (pos < text.length) {
+    fail(`Unexpected ${describeNext()} after the end of the JSON content`)
+  }
+  return root
+}
+
+/**
+ * Convert a located node to the plain JSON value it represents
+ * @param {LocatedNode} node 
+ * @returns {any}
+ */
+function locatedNodeValue(node) {
+  switch (node.type) {
+    case "object":
+      return Object.fromEntries(node.entries.map(({ key, node }) => [key, locatedNodeValue(node)]))
+    case "array":
+      return node.items.map(locatedNodeValue)
+    default:
+      return node.value
+  }
+}
+
+/**
+ * The directives that can be used in model files. Each directive is an object with
+ * a single "$name" key, whose value is the main argument of the corresponding
+ * makeMatch function; the other arguments are given as sibling properties.
+ * Each entry describes the names of the sibling properties (an "..." entry collects
+ * the remaining siblings into an options object) and builds the matcher from the main
+ * argument node and the sibling nodes, using the given ModelFileCompiler.
+ * @type {Object.<string,{siblings: string[], build: (arg: LocatedNode, siblings: Object.<string,LocatedNode>, c: ModelFileCompiler) => any}>}
+ */
+const modelFileDirectives = {
+  object: {
+    siblings: ["required"],
+    build: (arg, s, c) => makeMatch.object(c.objectModel(arg), { required: s.required && c.value(s.required) }),
+  },
+  required: { siblings: [], build: (arg, s, c) => makeMatch.required(c.model(arg)) },
+  array: { siblings: [], build: (arg, s, c) => makeMatch.array(c.models(arg)) },
+  notEmpty: { siblings: [], build: (arg, s, c) => makeMatch.notEmpty(c.model(arg)) },
+  arrayTransformed: {
+    siblings: ["transform"],
+    build: (arg, s, c) => makeMatch.arrayTransformed(c.models(arg), c.transform(s.transform)),
+  },
+  firstMatch: {
+    siblings: ["transform"],
+    build: (arg, s, c) => makeMatch.firstMatch(c.models(arg), s.transform && c.transform(s.transform)),
+  },
+  firstOneValue: { siblings: [], build: (arg, s, c) => makeMatch.firstOneValue(c.models(arg)) },
+  firstNotEmpty: { siblings: [], build: (arg, s, c) => makeMatch.firstNotEmpty(c.models(arg)) },
+  transform: {
+    siblings: ["transform"],
+    build: (arg, s, c) => makeMatch.transform(c.model(arg), c.transform(s.transform)),
+  },
+  flatten: { siblings: ["..."], build: (arg, s, c) => makeMatch.flatten(c.model(arg), c.options(s)) },
+  unflatten: { siblings: ["..."], build: (arg, s, c) => makeMatch.unflatten(c.model(arg), c.options(s)) },
+  as: {
+    siblings: ["model"],
+    build: (arg, s, c) => makeMatch.as(c.string(arg), c.model(c.sibling(s, "model"))),
+  },
+  tuple: {
+    siblings: ["rest", "..."],
+    build: (arg, s, c) => makeMatch.tuple(c.models(arg), { ...c.options(s), rest: s.rest && c.model(s.rest) }),
+  },
+  spread: { siblings: [], build: (arg, s, c) => makeMatch.spread(c.model(arg)) },
+  explode: {
+    siblings: ["field", "..."],
+    build: (arg, s, c) => makeMatch.explode(c.model(arg), c.string(c.sibling(s, "field")), c.options(s)),
+  },
+  mapValues: { siblings: ["keyPattern", "..."], build: (arg, s, c) => makeMatch.mapValues(c.model(arg), c.dictionaryOptions(s)) },
+  entries: { siblings: ["keyPattern", "..."], build: (arg, s, c) => makeMatch.entries(c.model(arg), c.dictionaryOptions(s)) },
+  fromEntries: { siblings: ["keyPattern", "..."], build: (arg, s, c) => makeMatch.fromEntries(c.model(arg), c.dictionaryOptions(s)) },
+  keyBy: {
+    siblings: ["keyPath"],
+    build: (arg, s, c) => makeMatch.keyBy(c.model(arg), c.string(c.sibling(s, "keyPath"))),
+  },
+  groupBy: {
+    siblings: ["keyPath"],
+    build: (arg, s, c) => makeMatch.groupBy(c.model(arg), c.string(c.sibling(s, "keyPath"))),
+  },
+  sortBy: {
+    siblings: ["keyPath", "direction"],
+    build: (arg, s, c) => makeMatch.sortBy(c.model(arg), c.string(c.sibling(s, "keyPath")), s.direction && c.string(s.direction)),
+  },
+  unique: {
+    siblings: ["keyPath"],
+    build: (arg, s, c) => makeMatch.unique(c.model(arg), s.keyPath && c.string(s.keyPath)),
+  },
+  take: { siblings: ["n"], build: (arg, s, c) => makeMatch.take(c.model(arg), c.value(c.sibling(s, "n"))) },
+  ref: { siblings: [], build: (arg, s, c) => makeMatch.ref(c.string(arg)) },
+  equals: { siblings: [], build: (arg, s, c) => makeMatch.equals(c.value(arg)) },
+  oneOf: { siblings: [], build: (arg, s, c) => makeMatch.oneOf(c.value(arg)) },
+  regex: { siblings: ["flags"], build: (arg, s, c) => makeMatch.regex(c.regex(arg, s.flags)) },
+  range: {
+    siblings: [],
+    build: (arg, s, c) => {
+      const bounds = c.value(arg)
+      if (!Array.isArray(bounds) || bounds.length !== 2) {
+        c.fail(`Expecting an array [min, max]`, arg)
+      }
+      return makeMatch.range(bounds[0], bounds[1])
+    },
+  },
+  where: {
+    siblings: ["conditions"],
+    build: (arg, s, c) => makeMatch.where(c.model(arg), c.objectModel(c.sibling(s, "conditions"))),
+  },
+  default: {
+    siblings: ["fallback"],
+    build: (arg, s, c) => makeMatch.default(c.model(arg), c.value(c.sibling(s, "fallback"))),
+  },
+  constant: { siblings: [], build: (arg, s, c) => makeMatch.constant(c.value(arg)) },
+  toNumber: { siblings: [], build: (arg, s, c) => makeMatch.toNumber(c.value(arg) ?? undefined) },
+  toInteger: { siblings: [], build: (arg, s, c) => makeMatch.toInteger(c.value(arg) ?? undefined) },
+  toBoolean: { siblings: [], build: (arg, s, c) => makeMatch.toBoolean(c.value(arg) ?? undefined) },
+  toString: { siblings: [], build: (arg, s, c) => makeMatch.toString(c.value(arg) ?? undefined) },
+  normalize: { siblings: [], build: (arg, s, c) => makeMatch.normalize(c.value(arg) ?? undefined) },
+  date: { siblings: ["..."], build: (arg, s, c) => makeMatch.date(c.value(arg) ?? undefined, c.options(s)) },
+}
+
+/**
+ * Interprets the syntax tree of a model file, turning located nodes into models
+ * and reporting errors with the location of the offending node
+ * @typedef {ReturnType<typeof modelFileCompiler>} ModelFileCompiler
+ */
+
+/**
+ * Create the compiler for the content of one model file
+ * @param {string} text The text of the model file (for error locations)
+ * @param {string} fileName The name of the model file (for error messages)
+ */
+function modelFileCompiler(text, fileName) {
+  const c = {
+    fail: (message, node) => {
+      throw new Error(`${formatLocation(text, node.offset, fileName)}: ${message}`)
+    },
+    value: (node) => locatedNodeValue(node),
+    string: (node) => {
+      if (node.type !== "value" || typeof (node.value) !== "string") {
+        c.fail(`Expecting a string`, node)
+      }
+      return node.value
+    },
+    sibling: (siblings, name) => siblings[name] ?? c.fail(`Missing property "${name}"`, siblings.$directive),
+    options: (siblings) => {
+      const options = {}
+      for (const [name, node] of Object.entries(siblings.$options)) {
+        options[name] = c.value(node)
+      }
+      return options
+    },
+    dictionaryOptions: (siblings) => {
+      const options = c.options(siblings)
+      if (siblings.keyPattern) {
+        options.keyPattern = c.regex(siblings.keyPattern)
+      }
+      return options
+    },
+    regex: (node, flagsNode) => {
+      const pattern = c.string(node)
+      try {
+        return new RegExp(pattern, flagsNode ? c.string(flagsNode) : undefined)
+      } catch (error) {
+        c.fail(error.message, node)
+      }
+    },
+    transform: (node) => {
+      const name = c.string(node)
+      if (!Object.hasOwn(valueTransforms, name)) {
+        c.fail(`Unknown transform "${name}". Known transforms are: ${Object.keys(valueTransforms).join(", ")}`, node)
+      }
+      return valueTransforms[name]
+    },
+    models: (node) => {
+      if (node.type !== "array") {
+        c.fail(`Expecting an array of models`, node)
+      }
+      return node.items.map(c.model)
+    },
+    objectModel: (node) => {
+      if (node.type !== "object" || node.entries.some(({ key }) => isDirective(key))) {
+        c.fail(`Expecting an object model`, node)
+      }
+      return c.model(node)
+    },
+    model: (node) => {
+      switch (node.type) {
+        case "array":
+          return node.items.map(c.model)
+        case "object":
+          const directiveEntry = node.entries.find(({ key }) => isDirective(key))
+          if (directiveEntry) {
+            return c.directive(node, directiveEntry)
+          }
+          const model = {}
+          for (const { key, node: child } of node.entries) {
+            // "$$name" escapes a property name that starts with "$"
+            defineOwn(model, key.startsWith("$$") ? key.slice(1) : key, c.model(child))
+          }
+          return model
+        default:
+          if (typeof (node.value) === "string" && isDirective(node.value)) {
+            const name = node.value.slice(1)
+            if (!Object.hasOwn(match, name)) {
+              c.fail(`Unknown matcher "${node.value}". Known matchers are: ${Object.keys(match).map((n) => "$" + n).join(", ")}`, node)
+            }
+            return match[name]
+          }
+          return node.value
+      }
+    },
+    directive: (node, directiveEntry) => {
+      const name = directiveEntry.key.slice(1)
+      const directive = Object.hasOwn(modelFileDirectives, name) ? modelFileDirectives[name] : undefined
+      if (!directive) {
+        c.fail(`Unknown directive "${directiveEntry.key}". Known directives are: ${Object.keys(modelFileDirectives).map((n) => "$" + n).join(", ")}`, directiveEntry)
+      }
+      const siblings = { $directive: directiveEntry, $options: {} }
+      for (const entry of node.entries) {
+        if (entry === directiveEntry) {
+          continue
+        } else if (isDirective(entry.key)) {
+          c.fail(`Only one directive is allowed per object; found "${directiveEntry.key}" and "${entry.key}"`, entry)
+        } else if (directive.siblings.includes(entry.key)) {
+          siblings[entry.key] = entry.node
+        } else if (directive.siblings.includes("...")) {
+          siblings.$options[entry.key] = entry.node
+        } else {
+          c.fail(`Unexpected property "${entry.key}" for directive "${directiveEntry.key}"`, entry)
+        }
+      }
+      try {
+        return directive.build(directiveEntry.node, siblings, c)
+      } catch (error) {
+        if (error.message.startsWith(fileName + ":")) {
+          throw error
+        }
+        c.fail(error.message, directiveEntry)
+      }
+    },
+  }
+  return c
+}
+
+/**
+ * Check if a property name or string in a model file is a directive (or match reference):
+ * it starts with a single "$"
+ * @param {string} key 
+ * @returns {boolean}
+ */
+function isDirective(key) {
+  return key.startsWith("$") && !key.startsWith("$$")
+}
+
+/**
+ * Parse the text of a model file into a model library. A model file is a JSON object
+ * mapping model names to models. Models are written like literal models, with the
+ * following additions:
+ * - a string "$name" stands for the matcher match.name (e.g. "$any")
+ * - an object with a "$name" property stands for the matcher makeMatch.name(...), where
+ *   the value of that property is the first argument, and the other arguments are given
+ *   as sibling properties (e.g. {"$flatten": {"name": ""}, "separator": "."})
+ * - a property name starting with "$$" stands for the same name with a single "$"
+ * @param {string} text The content of the model file
+ * @param {string} [fileName] The name of the file, used in error messages
+ * @returns {Object.<string,any>} The model library
+ */
+export function parseModelFile(text, fileName) {
+  fileName ??= "<model file>"
+  const root = parseLocatedJson(text, fileName)
+  const compiler = modelFileCompiler(text, fileName)
+  if (root.type !== "object") {
+    compiler.fail(`Expecting an object mapping model names to models`, root)
+  }
+  const library = {}
+  for (const { key, node } of root.entries) {
+    defineOwn(library, key, compiler.model(node))
+  }
+  return library
+}
+
+/**
+ * Load a model library from a model file (see parseModelFile())
+ * @param {string} filename The name of the model file
+ * @returns {Object.<string,any>} The model library
+ */
+export function loadModelFile(filename) {
+  return parseModelFile(readFileSync(filename, "utf8"), filename)
+}
+
+// ------------------------------------------------------------------------
+// Model inference
+
+/**
+ * The shape of the values seen at one position in one or more sample documents
+ * @typedef {Object} InferredShape
+ * @property {Set<string>} types The types seen (as returned by typeofEx())
+ * @property {Object.<string,InferredShape>} [properties] The shapes of the object
+ * properties seen (if "object" is one of the types)
+ * @property {InferredShape} [elements] The shape of the array elements seen (if "array"
+ * is one of the types and at least one element was seen)
+ */
+
+/**
+ * Widen a shape so it also covers the data
+ * @param {any} data The sample data
+ * @param {InferredShape} [shape] The shape to widen (if undefined a new one is created)
+ * @returns {InferredShape}
+ */
+function widenShape(data, shape) {
+  shape ??= { types: new Set() }
+  const dataType = typeofEx(data)
+  shape.types.add(dataType)
+  if (dataType === "object") {
+    shape.properties ??= Object.create(null)
+    for (const [key, value] of Object.entries(data)) {
+      shape.properties[key] = widenShape(value, shape.properties[key])
+    }
+  } else if (dataType === "array") {
+    for (const element of data) {
+      shape.elements = widenShape(element, shape.elements)
+    }
+  }
+  return shape
+}
+
+/**
+ * Convert a shape into a model description that can be rendered as a model,
+ * as a model file, or as JavaScript. The description uses literal models for
+ * single types, {$any: true} for anything, and {$alternatives: [...]} for
+ * positions that had values of several types.
+ * @param {InferredShape} shape 
+ * @param {number} depth The depth of the shape in the sample documents
+ * @param {number} maxDepth The depth beyond which objects and arrays are matched as a whole
+ * @returns {any}
+ */
+function describeShape(shape, depth, maxDepth) {
+  const describeType = (type) => {
+    switch (type) {
+      case "string":
+        return ""
+      case "number":
+        return 0
+      case "boolean":
+        return true
+      case "null":
+        return null
+      case "object":
+        if (depth >= maxDepth) {
+          return { $any: true }
+        }
+        return {
+          $object: Object.fromEntries(Object.entries(shape.properties).map(
+            ([key, child]) => [key, describeShape(child, depth + 1, maxDepth)]))
+        }
+      case "array":
+        if (depth >= maxDepth || !shape.elements) {
+          return { $array: [{ $any: true }] }
+        }
+        const elements = describeShape(shape.elements, depth + 1, maxDepth)
+        return { $array: elements.$alternatives ?? [elements] }
+      default:
+        return { $any: true }
+    }
+  }
+  const alternatives = [...shape.types].map(describeType)
+  return alternatives.length === 1 ? alternatives[0] : { $alternatives: alternatives }
+}
+
+/**
+ * Render a model description (see describeShape()) as a model
+ * @param {any} description 
+ * @returns {any}
+ */
+function renderInferredModel(description) {
+  if (typeofEx(description) !== "object") {
+    return description
+  } else if (description.$any) {
+    return match.any
+  } else if (description.$alternatives) {
+    return makeMatch.firstMatch(description.$alternatives.map(renderInferredModel))
+  } else if (description.$array) {
+    return description.$array.map(renderInferredModel)
+  } else {
+    return Object.fromEntries(Object.entries(description.$object).map(
+      ([key, child]) => [key, renderInferredModel(child)]))
+  }
+}
+
+/**
+ * Render a model description (see describeShape()) as the JSON value of a model
+ * in a model file (see parseModelFile())
+ * @param {any} description 
+ * @returns {any}
+ */
+function renderInferredModelFileValue(description) {
+  if (typeofEx(description) !== "object") {
+    return description
+  } else if (description.$any) {
+    return "$any"
+  } else if (description.$alternatives) {
+    return { $firstMatch: description.$alternatives.map(renderInferredModelFileValue) }
+  } else if (description.$array) {
+    return description.$array.map(renderInferredModelFileValue)
+  } else {
+    return Object.fromEntries(Object.entries(description.$object).map(
+      ([key, child]) => [key.startsWith("$") ? "$" + key : key, renderInferredModelFileValue(child)]))
+  }
+}
+
+/**
+ * Render a model description (see describeShape()) as JavaScript source
+ * @param {any} description 
+ * @param {string} indent The indentation of the line the source starts on
+ * @returns {string}
+ */
+function renderInferredModelSource(description, indent) {
+  const inner = indent + "  "
+  if (typeofEx(description) !== "object") {
+    return JSON.stringify(description)
+  } else if (description.$any) {
+    return "match.any"
+  } else if (description.$alternatives) {
+    const alternatives = description.$alternatives.map((d) => renderInferredModelSource(d, indent))
+    return `makeMatch.firstMatch([${alternatives.join(", ")}])`
+  } else if (description.$array) {
+    const elements = description.$array.map((d) => renderInferredModelSource(d, indent))
+    return `[${elements.join(", ")}]`
+  } else {
+    const entries = Object.entries(description.$object)
+    if (entries.length === 0) {
+      return "{}"
+    }
+    const lines = entries.map(([key, child]) => {
+      // a computed key, since a "__proto__" key in an object literal sets the prototype
+      const name = key === "__proto__" ? `[${JSON.stringify(key)}]` :
+        /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key)
+      return `${inner}${name}: ${renderInferredModelSource(child, inner)},\n`
+    })
+    return `{\n${lines.join("")}${indent}}`
+  }
+}
+
+/**
+ * Options for inferModel()
+ * @typedef {Object} InferOptions
+ * @property {boolean} [multipleSamples] If true, the data is an array of sample documents
+ * and the model is widened to cover all of them
+ * @property {number} [maxDepth] The maximum nesting depth of the model. Objects and arrays
+ * nested deeper are matched with match.any. By default there is no limit
+ * @property {"model" | "json" | "js"} [format] What to return: the model itself (default),
+ * the text of a model file (see parseModelFile()), or the text of a JavaScript entry
+ * script similar to index.js
+ * @property {string} [modelName] The name of the model in the model file or script
+ * (default "default")
+ */
+
+/**
+ * Infer a starter model from a sample JSON document: a model that mirrors the
+ * structure of the sample, with type placeholders ("", 0, true, null) for primitive
+ * values. The elements of arrays are merged into a single element model (or a set of
+ * alternatives if the elements have different types), so an object element model has
+ * all the properties seen in any element. Positions where values of different types
+ * were seen get a makeMatch.firstMatch() of the alternatives.
+ * @param {any} data The sample document (or array of samples, see options)
+ * @param {InferOptions} [options]
+ * @returns {any} The model, or its model file or JavaScript text (see options)
+ */
+export function inferModel(data, options) {
+  const samples = options?.multipleSamples ? data : [data]
+  if (!Array.isArray(samples) || samples.length === 0) {
+    throw new Error("Expecting at least one sample document")
+  }
+  let shape = undefined
+  for (const sample of samples) {
+    shape = widenShape(sample, shape)
+  }
+  const description = describeShape(shape, 0, options?.maxDepth ?? Infinity)
+  const modelName = options?.modelName ?? "default"
+  switch (options?.format ?? "model") {
+    case "model":
+      return renderInferredModel(description)
+    case "json":
+      return JSON.stringify({ [modelName]: renderInferredModelFileValue(description) }, null, 2) + "\n"
+    case "js":
+      const name = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(modelName) ? `.${modelName}` : `[${JSON.stringify(modelName)}]`
+      return [
+        `import {`,
+        `  match,`,
+        `  makeMatch,`,
+        `  runTransformApplication,`,
+        `  exitCodes,`,
+        `} from "./json-reshape.js";`,
+        ``,
+        `const modelLibrary = {}`,
+        ``,
+        `modelLibrary${name} = ${renderInferredModelSource(description, "")}`,
+        ``,
+        ...(modelName === "default" ? [] : [`modelLibrary.default = modelLibrary${name}`, ``]),
+        `runTransformApplication(modelLibrary, [...process.argv]).catch((error) => {`,
+        `  console.error(error)`,
+        `  process.exitCode = exitCodes.failed`,
+        `})`,
+        ``,
+      ].join("\n")
+    default:
+      throw new Error(`Unknown format "${options.format}"; expecting "model", "json" or "js"`)
+  }
+}
+
+// ------------------------------------------------------------------------
+// Output schemas
+
+/**
+ * The derived shape of the output of a model node: either a plain value,
+ * described by a JSON Schema, or the effect of a merge function on its host
+ * object or array
+ * @typedef {Object} OutputShape
+ * @property {Object} [schema] The JSON Schema of the value (for plain values)
+ * @property {boolean} [always] True if the value is produced even if the data is absent
+ * or does not match (so the property is always present in its host object)
+ * @property {(hostKey: string) => OutputProperties} [object] For merge functions: the
+ * properties merged into a host object, given the host key
+ * @property {Object[]} [elements] For merge functions: the schemas of the elements
+ * appended to a host array
+ */
+
+/**
+ * The properties contributed to an output object
+ * @typedef {Object} OutputProperties
+ * @property {Object.<string, {schema: Object, always?: boolean}>} properties The
+ * properties with known names
+ * @property {Object} [additional] The schema of properties with names that are not
+ * known up front (undefined if there are none)
+ */
+
+/**
+ * The state shared while deriving the output schema of a model
+ * @typedef {Object} OutputSchemaState
+ * @property {Object.<string,any>} [library] The library to resolve model references in
+ * @property {boolean} strict If true, values of required models are always present
+ * @property {Object.<string,Object>} defs The schemas of the referenced models
+ */
+
+/** The JSON Schema that matches nothing */
+const nothingSchema = Object.freeze({ not: {} })
+
+/**
+ * Test if a schema is the schema that matches nothing
+ * @param {Object} schema
+ * @returns {boolean}
+ */
+function isNothingSchema(schema) {
+  return deepEqual(schema, nothingSchema)
+}
+
+/**
+ * Combine schemas into a schema that matches any of them
+ * @param {Object[]} schemas
+ * @returns {Object}
+ */
+function anyOfSchemas(schemas) {
+  const alternatives = []
+  for (const schema of schemas.flatMap((s) => s.anyOf ?? [s])) {
+    if (Object.keys(schema).length === 0) {
+      return {}
+    }
+    if (!isNothingSchema(schema) && !alternatives.some((a) => deepEqual(a, schema))) {
+      alternatives.push(schema)
+    }
+  }
+  switch (alternatives.length) {
+    case 0:
+      return nothingSchema
+    case 1:
+      return alternatives[0]
+    default:
+      return { anyOf: alternatives }
+  }
+}
+
+/**
+ * The schema of the type of a JSON value (or of the value itself, for objects and arrays)
+ * @param {any} value
+ * @returns {Object}
+ */
+function valueTypeSchema(value) {
+  const valueType = typeofEx(value)
+  return valueType === "object" || valueType === "array" ? { const: value } : { type: valueType }
+}
+
+/**
+ * The schema of a value that is null if it could not be converted, unless the strict
+ * option is set (see coercingMatcher())
+ * @param {Object} schema
+ * @param {{strict?: boolean}} [options]
+ * @returns {Object}
+ */
+function coercedSchema(schema, options) {
+  return options?.strict === true ? schema : anyOfSchemas([schema, { type: "null" }])
+}
+
+/**
+ * The schema of the output of a shape when it is used as a value (a merge function
+ * at the top level is merged into an empty object)
+ * @param {OutputShape} shape
+ * @returns {Object}
+ */
+function shapeSchema(shape) {
+  if (shape.schema) {
+    return shape.schema
+  }
+  return shape.object ? objectSchema(shape.object("")) : {}
+}
+
+/**
+ * The properties a shape contributes to its host object at the given key
+ * @param {OutputShape} shape
+ * @param {string} key
+ * @returns {OutputProperties}
+ */
+function shapeProperties(shape, key) {
+  if (shape.schema) {
+    return isNothingSchema(shape.schema) ? { properties: {} } :
+      { properties: { [key]: { schema: shape.schema, always: shape.always } } }
+  }
+  return shape.object?.(key) ?? { properties: {} }
+}
+
+/**
+ * The schemas of the elements a shape appends to its host array
+ * @param {OutputShape} shape
+ * @returns {Object[]}
+ */
+function shapeElements(shape) {
+  return shape.schema ? [shape.schema] : shape.elements ?? []
+}
+
+/**
+ * The properties of an object schema, as a contribution to another object
+ * (all properties are optional there)
+ * @param {Object} schema An object schema
+ * @returns {OutputProperties}
+ */
+function schemaProperties(schema) {
+  const properties = {}
+  for (const [key, child] of Object.entries(schema.properties ?? {})) {
+    properties[key] = { schema: child }
+  }
+  return { properties, additional: schema.additionalProperties || undefined }
+}
+
+/**
+ * Merge property contributions (later properties replace earlier ones)
+ * @param {OutputProperties[]} contributions
+ * @returns {OutputProperties}
+ */
+function mergeOutputProperties(contributions) {
+  const properties = {}
+  const additional = []
+  for (const contribution of contributions) {
+    Object.assign(properties, contribution.properties)
+    if (contribution.additional) {
+      additional.push(contribution.additional)
+    }
+  }
+  return { properties, additional: additional.length > 0 ? anyOfSchemas(additional) : undefined }
+}
+
+/**
+ * Build the schema of an object from its properties
+ * @param {OutputProperties} contribution
+ * @returns {Object}
+ */
+function objectSchema(contribution) {
+  const properties = {}
+  const required = []
+  for (const [key, { schema, always }] of Object.entries(contribution.properties)) {
+    properties[key] = schema
+    if (always) {
+      required.push(key)
+    }
+  }
+  return {
+    type: "object",
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: contribution.additional ?? false,
+  }
+}
+
+/**
+ * Build the schema of an array from the shapes of its element models
+ * @param {OutputShape[]} shapes
+ * @returns {Object}
+ */
+function arraySchema(shapes) {
+  return { type: "array", items: anyOfSchemas(shapes.flatMap(shapeElements)) }
+}
+
+/**
+ * The schema of the elements of an array schema
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function itemsSchema(schema) {
+  if (schema.anyOf) {
+    return anyOfSchemas(schema.anyOf.map(itemsSchema))
+  }
+  return schema.type === "array" ? schema.items ?? {} : schema.type ? nothingSchema : {}
+}
+
+/**
+ * Apply a value transform to the schema of a value
+ * @param {Object} schema
+ * @param {((value: any) => any) | undefined} transform
+ * @returns {Object}
+ */
+function transformedSchema(schema, transform) {
+  if (!transform) {
+    return schema
+  }
+  if (schema.anyOf) {
+    return anyOfSchemas(schema.anyOf.map((s) => transformedSchema(s, transform)))
+  }
+  if (transform === valueTransforms.notEmpty) {
+    switch (schema.type) {
+      case "object":
+        return { ...schema, minProperties: 1 }
+      case "array":
+        return { ...schema, minItems: 1 }
+      case undefined:
+        return schema
+      default:
+        return nothingSchema
+    }
+  } else if (transform === valueTransforms.oneValue) {
+    switch (schema.type) {
+      case "object":
+        return anyOfSchemas([...Object.values(schema.properties ?? {}),
+          ...(schema.additionalProperties === false ? [] : [schema.additionalProperties ?? {}])])
+      case "array":
+        return schema.items ?? {}
+      default:
+        return schema
+    }
+  }
+  return {}
+}
+
+/**
+ * Apply a value transform to a shape (transforms reject merge functions)
+ * @param {OutputShape} shape
+ * @param {((value: any) => any) | undefined} transform
+ * @returns {OutputShape}
+ */
+function transformedShape(shape, transform) {
+  if (!transform) {
+    return shape
+  }
+  return { schema: shape.schema ? transformedSchema(shape.schema, transform) : {} }
+}
+
+/**
+ * Combine the shapes of alternative models (see makeMatch.firstMatch())
+ * @param {OutputShape[]} shapes
+ * @returns {OutputShape}
+ */
+function alternativesShape(shapes) {
+  if (shapes.every((shape) => shape.schema)) {
+    return { schema: anyOfSchemas(shapes.map((shape) => shape.schema)) }
+  }
+  return {
+    object: (hostKey) => {
+      // a property may be produced by any of the alternatives, or by none of them
+      const contributions = shapes.map((shape) => shapeProperties(shape, hostKey))
+      const { additional } = mergeOutputProperties(contributions)
+      const properties = {}
+      for (const contribution of contributions) {
+        for (const [key, { schema }] of Object.entries(contribution.properties)) {
+          properties[key] = { schema: anyOfSchemas([...(properties[key] ? [properties[key].schema] : []), schema]) }
+        }
+      }
+      return { properties, additional }
+    },
+    elements: shapes.flatMap(shapeElements),
+  }
+}
+
+/**
+ * The properties that unboundMerge.flatten() creates from a value
+ * @param {Object} schema The schema of the flattened value
+ * @param {string} prefix The name prefix
+ * @param {FlattenOptions} [options]
+ * @returns {OutputProperties}
+ */
+function flattenedProperties(schema, prefix, options) {
+  const separator = options?.separator ?? "-"
+  const nameOf = (key) => prefix === "" ? key : `${prefix}${separator}${key}`
+  if (schema.type === "object") {
+    const contributions = [{ properties: {}, additional: schema.additionalProperties || undefined }]
+    for (const [key, child] of Object.entries(schema.properties ?? {})) {
+      if (options?.deep && (child.type === "object" || child.type === "array")) {
+        contributions.push(flattenedProperties(child, nameOf(key), options))
+      } else {
+        contributions.push({ properties: { [nameOf(key)]: { schema: child } } })
+      }
+    }
+    return mergeOutputProperties(contributions)
+  }
+  // the property names of arrays (indices) and unknown values are not known up front
+  return { properties: {}, additional: schema.type === "array" ? schema.items ?? {} : {} }
+}
+
+/**
+ * The schema of the object that unflattenObject() rebuilds from an object
+ * @param {Object} schema The schema of the flat object
+ * @param {string} separator
+ * @returns {Object}
+ */
+function unflattenedSchema(schema, separator) {
+  if (schema.type !== "object") {
+    return schema
+  }
+  const root = { properties: {}, additional: schema.additionalProperties || undefined }
+  for (const [key, child] of Object.entries(schema.properties ?? {})) {
+    const path = key.split(separator)
+    let node = root
+    for (const segment of path.slice(0, -1)) {
+      node = node.properties[segment] ??= { properties: {} }
+    }
+    node.properties[path[path.length - 1]] = { schema: child }
+  }
+  const build = (node) => {
+    const properties = {}
+    for (const [key, child] of Object.entries(node.properties)) {
+      properties[key] = { schema: child.schema ?? build(child) }
+    }
+    return objectSchema({ properties, additional: node.additional })
+  }
+  return build(root)
+}
+
+/**
+ * The JSON pointer to the definition of a referenced model
+ * @param {string} name The model name
+ * @returns {string}
+ */
+function definitionPointer(name) {
+  return "#/$defs/" + name.replaceAll("~", "~0").replaceAll("/", "~1")
+}
+
+/**
+ * Derive the output shape of a model
+ * @param {any} model
+ * @param {OutputSchemaState} state
+ * @returns {OutputShape}
+ */
+function deriveOutputShape(model, state) {
+  const modelType = typeofEx(model)
+  switch (modelType) {
+    case "string":
+    case "number":
+    case "boolean":
+    case "null":
+      return { schema: { type: modelType } }
+    case "undefined":
+      return { schema: nothingSchema }
+    case "array":
+      return { schema: arraySchema(model.map((m) => deriveOutputShape(m, state))) }
+    case "object":
+      return {
+        schema: objectSchema(mergeOutputProperties(Object.entries(model).map(
+          ([key, modelValue]) => shapeProperties(deriveOutputShape(modelValue, state), key))))
+      }
+    case "function":
+      return deriveMatcherShape(model, state)
+    default:
+      throw new Error(`Unexpected model type "${modelType}"`)
+  }
+}
+
+/**
+ * Derive the output shape of a matcher function. Matchers that were not created
+ * by makeMatch are opaque, and may produce anything.
+ * @param {matchFunction} matcher
+ * @param {OutputSchemaState} state
+ * @returns {OutputShape}
+ */
+function deriveMatcherShape(matcher, state) {
+  switch (matcher) {
+    case match.string:
+      return { schema: { type: "string" } }
+    case match.number:
+      return { schema: { type: "number" } }
+    case match.boolean:
+      return { schema: { type: "boolean" } }
+    case match.null:
+      return { schema: { type: "null" } }
+    case match.fail:
+      return { schema: nothingSchema }
+    case match.any:
+      return { schema: {} }
+  }
+  if (!matcher.factory) {
+    return { schema: {} }
+  }
+  const derive = (model) => deriveOutputShape(model, state)
+  const schemaOf = (model) => shapeSchema(derive(model))
+  const [first, second, third] = matcher.factory.args
+  switch (matcher.factory.name) {
+    case "object":
+    case "where":
+    case "sortBy":
+    case "unique":
+      return derive(first)
+    case "required":
+      const requiredShape = derive(first)
+      return requiredShape.schema && state.strict ? { ...requiredShape, always: true } : requiredShape
+    case "array":
+      return { schema: arraySchema(first.map(derive)) }
+    case "notEmpty":
+      return transformedShape(derive(first), valueTransforms.notEmpty)
+    case "transform":
+      return transformedShape(derive(first), second)
+    case "arrayTransformed":
+      return { schema: arraySchema(first.map((m) => transformedShape(derive(m), second))) }
+    case "firstNotEmpty":
+      return { schema: arraySchema(first.map((m) => transformedShape(derive(m), valueTransforms.notEmpty))) }
+    case "firstMatch":
+      return alternativesShape(first.map((m) => transformedShape(derive(m), second)))
+    case "firstOneValue":
+      return alternativesShape(first.map((m) => transformedShape(derive(m), valueTransforms.oneValue)))
+    case "flatten":
+      const flattened = schemaOf(first)
+      return { object: (hostKey) => flattenedProperties(flattened, second?.prefix ?? hostKey, second) }
+    case "unflatten":
+      const unflattenShape = derive(first)
+      if (!unflattenShape.schema) {
+        return unflattenShape
+      }
+      const separator = second?.separator ?? "-"
+      const unflattened = unflattenedSchema(unflattenShape.schema, separator)
+      return {
+        object: (hostKey) => {
+          const prefix = second?.prefix ?? hostKey
+          if (prefix === "") {
+            return schemaProperties(unflattened)
+          }
+          const path = prefix.split(separator)
+          let schema = unflattened
+          for (const segment of path.slice(1).reverse()) {
+            schema = objectSchema({ properties: { [segment]: { schema } } })
+          }
+          return { properties: { [path[0]]: { schema } } }
+        },
+        elements: [unflattened],
+      }
+    case "mapValues":
+    case "fromEntries":
+      return {
+        schema: {
+          type: "object",
+          ...(second?.keyPattern instanceof RegExp ? { propertyNames: { pattern: second.keyPattern.source } } : {}),
+          additionalProperties: schemaOf(first),
+        }
+      }
+    case "entries":
+      const keyName = second?.keyName ?? "key"
+      const valueName = second?.valueName ?? "value"
+      return {
+        schema: {
+          type: "array", items: objectSchema({
+            properties: {
+              [keyName]: { schema: { type: "string" }, always: true },
+              [valueName]: { schema: schemaOf(first), always: true },
+            }
+          })
+        }
+      }
+    case "keyBy":
+      return { schema: { type: "object", additionalProperties: itemsSchema(schemaOf(first)) } }
+    case "groupBy":
+      return {
+        schema: {
+          type: "object",
+          additionalProperties: { type: "array", items: itemsSchema(schemaOf(first)), minItems: 1 },
+        }
+      }
+    case "take":
+      const taken = schemaOf(first)
+      return { schema: taken.type === "array" ? { ...taken, maxItems: Math.abs(second) } : taken }
+    case "ref":
+      if (!state.library) {
+        throw new Error(`Cannot resolve model reference "${first}": there is no model library`)
+      }
+      if (state.library[first] === undefined) {
+        const modelNames = Object.keys(state.library).join(", ")
+        throw new Error(`Unknown model "${first}" referenced. Known model names are: ${modelNames}`)
+      }
+      if (!Object.hasOwn(state.defs, first)) {
+        state.defs[first] = {} // placeholder, in case the model refers to itself
+        const referenced = derive(state.library[first])
+        if (!referenced.schema) {
+          // merge functions are not values, so they cannot be defined separately
+          delete state.defs[first]
+          return referenced
+        }
+        state.defs[first] = referenced.schema
+      }
+      return { schema: { $ref: definitionPointer(first) } }
+    case "withContext":
+      return { schema: {} }
+    case "computed":
+      return { object: (hostKey) => ({ properties: { [hostKey]: { schema: {} } } }) }
+    case "default":
+      return { schema: anyOfSchemas([schemaOf(first), valueTypeSchema(second)]), always: true }
+    case "constant":
+      return { schema: { const: first }, always: true }
+    case "toNumber":
+      return { schema: coercedSchema({ type: "number" }, first) }
+    case "toInteger":
+      return { schema: coercedSchema({ type: "integer" }, first) }
+    case "toBoolean":
+      return { schema: coercedSchema({ type: "boolean" }, first) }
+    case "toString":
+      return { schema: coercedSchema({ type: "string" }, first) }
+    case "normalize":
+      return { schema: { type: "string" } }
+    case "date":
+      const dateSchemas = {
+        iso: { type: "string", format: "date-time" },
+        date: { type: "string", format: "date" },
+        epoch: { type: "integer" },
+        epochSeconds: { type: "integer" },
+      }
+      return { schema: coercedSchema(dateSchemas[first], second) }
+    case "equals":
+      return { schema: { const: first } }
+    case "oneOf":
+      return { schema: { enum: first } }
+    case "regex":
+      return { schema: { type: "string", pattern: first.source } }
+    case "range":
+      if (typeof (first ?? second) === "string") {
+        return { schema: { type: "string" } }
+      }
+      return {
+        schema: {
+          type: "number",
+          ...((first ?? undefined) !== undefined ? { minimum: first } : {}),
+          ...((second ?? undefined) !== undefined ? { maximum: second } : {}),
+        }
+      }
+    case "tuple":
+      const rest = second?.rest !== undefined ? derive(second.rest) : undefined
+      if (second?.names) {
+        const contribution = mergeOutputProperties(first.map((m, index) => shapeProperties(derive(m), second.names[index])))
+        if (rest) {
+          contribution.properties[second.restName ?? "rest"] = { schema: arraySchema([rest]), always: true }
+        }
+        return { schema: objectSchema(contribution) }
+      }
+      return {
+        schema: {
+          type: "array",
+          prefixItems: first.map((m) => anyOfSchemas([schemaOf(m), { type: "null" }])),
+          items: rest ? arraySchema([rest]).items : false,
+          ...(second?.exact ? { minItems: first.length } : {}),
+        }
+      }
+    case "spread":
+      const spread = schemaOf(first)
+      return {
+        object: () => spread.type === "object" ? schemaProperties(spread) : { properties: {}, additional: {} },
+        elements: spread.type === "array" ? [spread.items ?? {}] : [spread],
+      }
+    case "explode":
+      const exploded = schemaOf(first)
+      if (exploded.type !== "object") {
+        return { elements: [{}] }
+      }
+      const as = third?.as ?? second
+      const element = itemsSchema(exploded.properties?.[second] ?? {})
+      const rowProperties = [schemaProperties(exploded)]
+      delete rowProperties[0].properties[second]
+      if (third?.flatten && element.type === "object") {
+        rowProperties.push(flattenedProperties(element, as, third.flatten === true ? undefined : third.flatten))
+      } else {
+        rowProperties.push({ properties: { [as]: { schema: element } } })
+      }
+      return { elements: [objectSchema(mergeOutputProperties(rowProperties))] }
+    case "as":
+      const renamed = derive(second)
+      return {
+        object: () => shapeProperties(renamed, first),
+        elements: shapeElements(renamed),
+      }
+    default:
+      return { schema: {} }
+  }
+}
+
+/**
+ * Options for modelToJsonSchema() and modelToTypeScript()
+ * @typedef {Object} OutputSchemaOptions
+ * @property {Object.<string,any>} [library] The model library that model references
+ * (makeMatch.ref()) are resolved in. Referenced models become definitions ("$defs")
+ * in the JSON Schema, and separate types in TypeScript
+ * @property {boolean} [strict] If true, the schema describes the output of strict
+ * projections (see projectToModel()), in which required values are always present
+ * @property {string} [title] The title of the JSON Schema
+ */
+
+/**
+ * Derive the JSON Schema of the output of projections to a model. The derivation
+ * understands literal models, the match.* and makeMatch.* matchers (including the
+ * property names created by flattening, renaming and spreading, the alternatives of
+ * makeMatch.firstMatch() and the effect of value transforms), and falls back to
+ * "anything" for custom matcher functions. Properties are optional unless they are
+ * always produced (such as defaults and constants, or required values in strict mode).
+ * @param {any} model The model
+ * @param {OutputSchemaOptions} [options]
+ * @returns {Object} The JSON Schema (draft 2020-12)
+ */
+export function modelToJsonSchema(model, options) {
+  const state = { library: options?.library, strict: options?.strict === true, defs: {} }
+  const schema = shapeSchema(deriveOutputShape(model, state))
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    ...(options?.title !== undefined ? { title: options.title } : {}),
+    ...schema,
+    ...(Object.keys(state.defs).length > 0 ? { $defs: state.defs } : {}),
+  }
+}
+
+/**
+ * Convert a name into a PascalCase TypeScript type name
+ * @param {string} name
+ * @returns {string}
+ */
+function typeScriptTypeName(name) {
+  const words = name.split(/[^A-Za-z0-9_$]+/).filter((word) => word !== "")
+  const typeName = words.map((word) => word[0].toUpperCase() + word.slice(1)).join("")
+  return /^[A-Za-z_$]/.test(typeName) ? typeName : "_" + typeName
+}
+
+/**
+ * Render a JSON value as a TypeScript literal type
+ * @param {any} value
+ * @returns {string}
+ */
+function typeScriptLiteral(value) {
+  switch (typeofEx(value)) {
+    case "array":
+      return `[${value.map(typeScriptLiteral).join(", ")}]`
+    case "object":
+      const members = Object.entries(value).map(([key, child]) => `${typeScriptPropertyName(key)}: ${typeScriptLiteral(child)}`)
+      return members.length === 0 ? "{}" : `{ ${members.join("; ")} }`
+    default:
+      return JSON.stringify(value)
+  }
+}
+
+/**
+ * Render a property name for a TypeScript type, quoting it if necessary
+ * @param {string} key
+ * @returns {string}
+ */
+function typeScriptPropertyName(key) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : JSON.stringify(key)
+}
+
+/**
+ * Render a JSON Schema (as created by modelToJsonSchema()) as a TypeScript type
+ * @param {Object} schema
+ * @param {Object.<string,string>} refNames The type names for "$ref" pointers
+ * @param {string} indent The indentation of the line the type starts on
+ * @returns {string}
+ */
+function schemaToTypeScript(schema, refNames, indent) {
+  const inner = indent + "  "
+  const render = (s) => schemaToTypeScript(s, refNames, indent)
+  const union = (types) => {
+    const unique = [...new Set(types)]
+    return unique.length === 0 ? "never" : unique.includes("unknown") ? "unknown" : unique.join(" | ")
+  }
+  const element = (s) => {
+    const type = render(s)
+    return /[|&]/.test(type) ? `(${type})` : type
+  }
+  if (schema.$ref) {
+    return refNames[schema.$ref] ?? "unknown"
+  } else if (isNothingSchema(schema)) {
+    return "never"
+  } else if (schema.const !== undefined) {
+    return typeScriptLiteral(schema.const)
+  } else if (schema.enum) {
+    return union(schema.enum.map(typeScriptLiteral))
+  } else if (schema.anyOf) {
+    return union(schema.anyOf.map(render))
+  } else if (Array.isArray(schema.type)) {
+    return union(schema.type.map((type) => render({ ...schema, type })))
+  }
+  switch (schema.type) {
+    case "string":
+    case "boolean":
+    case "null":
+      return schema.type
+    case "number":
+    case "integer":
+      return "number"
+    case "array":
+      if (schema.prefixItems) {
+        const minItems = schema.minItems ?? 0
+        const positions = schema.prefixItems.map((s, index) => element(s) + (index < minItems ? "" : "?"))
+        if (schema.items !== false) {
+          positions.push(`...${element(schema.items ?? {})}[]`)
+        }
+        return `[${positions.join(", ")}]`
+      }
+      return `${element(schema.items ?? {})}[]`
+    case "object":
+      const required = new Set(schema.required ?? [])
+      const lines = Object.entries(schema.properties ?? {}).map(([key, child]) =>
+        `${inner}${typeScriptPropertyName(key)}${required.has(key) ? "" : "?"}: ${schemaToTypeScript(child, refNames, inner)};\n`)
+      if (schema.additionalProperties !== false) {
+        const valueTypes = [schema.additionalProperties ?? {}, ...Object.values(schema.properties ?? {})]
+        lines.push(`${inner}[key: string]: ${union(valueTypes.map((s) => schemaToTypeScript(s, refNames, inner)))};\n`)
+      }
+      return lines.length === 0 ? "{}" : `{\n${lines.join("")}${indent}}`
+    default:
+      return "unknown"
+  }
+}
+
+/**
+ * Derive TypeScript type declarations for the output of projections to a model
+ * (see modelToJsonSchema() for what the derivation understands). Each model referenced
+ * with makeMatch.ref() gets its own type, named after the model.
+ * @param {any} model The model
+ * @param {string} [typeName] The name of the type of the output (default "Output")
+ * @param {OutputSchemaOptions} [options]
+ * @returns {string} The TypeScript source, declaring an exported type for the output
+ * and for each referenced model
+ */
+export function modelToTypeScript(model, typeName, options) {
+  typeName ??= "Output"
+  const { $defs, ...schema } = modelToJsonSchema(model, options)
+  const usedNames = new Set([typeName])
+  const refNames = {}
+  for (const name of Object.keys($defs ?? {})) {
+    let refName = typeScriptTypeName(name)
+    for (let suffix = 2; usedNames.has(refName); suffix++) {
+      refName = typeScriptTypeName(name) + suffix
+    }
+    usedNames.add(refName)
+    refNames[definitionPointer(name)] = refName
+  }
+  const declarations = [`export type ${typeName} = ${schemaToTypeScript(schema, refNames, "")};\n`]
+  for (const [name, definition] of Object.entries($defs ?? {})) {
+    declarations.push(`export type ${refNames[definitionPointer(name)]} = ${schemaToTypeScript(definition, refNames, "")};\n`)
+  }
+  return declarations.join("\n")
+}
+
+// ------------------------------------------------------------------------
+// JSON Lines
+
+/**
+ * Test if a file name has a JSON Lines extension (".jsonl" or ".ndjson")
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isJsonLinesFile(filename) {
+  return /\.(jsonl|ndjson)$/i.test(filename)
+}
+
+/**
+ * A line of a JSON Lines document that is not valid JSON
+ * @typedef {Object} InvalidLine
+ * @property {number} line The line number (1 based)
+ * @property {string} message The JSON parse error
+ */
+
+/**
+ * Create an incremental scanner for JSON Lines text, that reports each line as soon
+ * as it is complete. Empty lines are ignored. Text is pushed in arbitrarily split chunks.
+ * @param {(record: any, line: number) => void} onRecord Called for each valid line
+ * @param {(line: number, message: string) => void} onInvalidLine Called for each line
+ * that is not valid JSON
+ * @returns {{push: (text: string) => void, finish: () => void}}
+ */
+function jsonLinesScanner(onRecord, onInvalidLine) {
+  let rest = ""
+  let line = 0
+  const handle = (text) => {
+    line++
+    const trimmed = text.trim()
+    if (trimmed === "") {
+      return
+    }
+    let record
+    try {
+      record = JSON.parse(trimmed)
+    } catch (error) {
+      onInvalidLine(line, error.message)
+      return
+    }
+    onRecord(record, line)
+  }
+  return {
+    push: (text) => {
+      if (!text.includes("\n")) {
+        rest += text
+        return
+      }
+      const lines = (rest + text).split("\n")
+      rest = lines.pop()
+      lines.forEach(handle)
+    },
+    finish: () => {
+      if (rest !== "") {
+        handle(rest)
+      }
+      rest = ""
+    },
+  }
+}
+
+/**
+ * Parse a JSON Lines document: one JSON document per line. Empty lines are ignored,
+ * and lines that are not valid JSON are reported instead of failing the whole document.
+ * @param {string} text
+ * @returns {{records: {line: number, value: any}[], invalidLines: InvalidLine[]}}
+ */
+export function parseJsonLines(text) {
+  const records = []
+  const invalidLines = []
+  const scanner = jsonLinesScanner(
+    (value, line) => records.push({ line, value }),
+    (line, message) => invalidLines.push({ line, message }))
+  scanner.push(text)
+  scanner.finish()
+  return { records, invalidLines }
+}
+
+/**
+ * Load a JSON Lines file (see parseJsonLines())
+ * @param {string} filename The name of the file to load
+ * @returns {{records: {line: number, value: any}[], invalidLines: InvalidLine[]}}
+ */
+export function loadJsonLines(filename) {
+  return parseJsonLines(readFileSync(filename, "utf8"))
+}
+
+/**
+ * Format values as JSON Lines: one compact JSON document per line
+ * @param {any[]} values
+ * @returns {string}
+ */
+export function formatJsonLines(values) {
+  return values.map((value) => JSON.stringify(value) + "\n").join("")
+}
+
+/**
+ * Save values to a JSON Lines file, like saveJson()
+ * @param {string} filename The name of the file to save
+ * @param {any[]} values The values to save, one per line
+ * @param {SaveOptions} [options] The sortKeys option and the options for writing the file
+ * @returns {boolean} False if the file was not written because its content was unchanged
+ */
+export function saveJsonLines(filename, values, options) {
+  return writeFileAtomic(filename, formatJsonLines(options?.sortKeys ? sortObjectKeys(values) : values), options)
+}
+
+/**
+ * Project a single record of a JSON Lines input to the model, recording the
+ * line number in the issues found (see projectStream())
+ * @param {any} record
+ * @param {number} line
+ * @param {Projector} projector The compiled model
+ * @param {ProjectionOptions} options
+ * @returns {any}
+ */
+function projectRecord(record, line, projector, options) {
+  const report = options.report
+  const mark = report?.length
+  try {
+    return projector(record, options)
+  } catch (error) {
+    if (!(error instanceof ProjectionError)) {
+      throw error
+    }
+    for (const issue of error.issues) {
+      issue.line = line
+    }
+    throw new ProjectionError(error.issues)
+  } finally {
+    for (const issue of report?.slice(mark) ?? []) {
+      issue.line = line
+    }
+  }
+}
+
+// ------------------------------------------------------------------------
+// Delimited text (CSV and TSV)
+
+/**
+ * Options for formatDelimited()
+ * @typedef {Object} DelimitedOptions
+ * @property {string} [delimiter] The field delimiter (default ",", use "\t" for TSV)
+ * @property {string[]} [columns] The columns to write, in this order. By default the
+ * columns are the union of the keys of all rows, in the order they are first seen
+ * @property {"json" | "error"} [nested] How to handle nested values (objects and arrays):
+ * write them as JSON text (the default), or fail with a FormatError
+ */
+
+/**
+ * The error thrown when projected data cannot be written in the requested output
+ * format, such as a nested value in CSV output
+ */
+export class FormatError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message)
+    this.name = "FormatError"
+  }
+}
+
+/**
+ * Determine the columns for delimited output: the union of the keys of the rows,
+ * in the order they are first seen
+ * @param {Object.<string,any>[]} rows
+ * @returns {string[]}
+ */
+function delimitedColumns(rows) {
+  const columns = new Set()
+  for (const row of rows) {
+    for (const key of Object.keys(row ?? {})) {
+      columns.add(key)
+    }
+  }
+  return [...columns]
+}
+
+/**
+ * Format one line of delimited text, quoting fields that contain the delimiter,
+ * a double quote or a line break (doubling the double quotes in them)
+ * @param {string[]} fields
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function delimitedLine(fields, delimiter) {
+  return fields.map((field) =>
+    field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field
+  ).join(delimiter) + "\r\n"
+}
+
+/**
+ * Format a row (a flat object) as a line of delimited text
+ * @param {Object.<string,any>} row
+ * @param {number} index The index of the row, for error messages
+ * @param {string[]} columns
+ * @param {DelimitedOptions} options
+ * @returns {string}
+ */
+function delimitedRow(row, index, columns, options) {
+  if (typeofEx(row) !== "object") {
+    throw new FormatError(`Expecting row ${index} to be an object, not ${typeofEx(row)}`)
+  }
+  const fields = columns.map((column) => {
+    const value = row[column]
+    if (value === undefined || value === null) {
+      return ""
+    } else if (typeof (value) === "object") {
+      if (options?.nested === "error") {
+        throw new FormatError(`Row ${index} has a nested value in column "${column}" (flatten it, see makeMatch.flatten())`)
+      }
+      return JSON.stringify(value)
+    }
+    return String(value)
+  })
+  return delimitedLine(fields, options?.delimiter ?? ",")
+}
+
+/**
+ * Format an array of flat objects (such as produced with makeMatch.flatten()) as
+ * delimited text (CSV, or TSV with a "\t" delimiter): a header line with the column
+ * names followed by a line for each row. Lines end in CRLF, as in RFC 4180. Missing
+ * and null values are written as empty fields. Without any columns (no rows, and no
+ * columns option) the text is empty.
+ * @param {Object.<string,any>[]} rows
+ * @param {DelimitedOptions} [options]
+ * @returns {string}
+ */
+export function formatDelimited(rows, options) {
+  if (!Array.isArray(rows)) {
+    throw new FormatError(`Expecting an array of rows, not ${typeofEx(rows)}`)
+  }
+  const columns = options?.columns ?? delimitedColumns(rows)
+  if (columns.length === 0) {
+    return "" // no header, and rows without fields cannot be written
+  }
+  const lines = rows.map((row, index) => delimitedRow(row, index, columns, options))
+  return delimitedLine(columns, options?.delimiter ?? ",") + lines.join("")
+}
+
+/**
+ * Save an array of flat objects to a CSV or TSV file (see formatDelimited()), like saveJson()
+ * @param {string} filename The name of the file to save
+ * @param {Object.<string,any>[]} rows The rows to save
+ * @param {DelimitedOptions & SaveOptions} [options]
+ * @returns {boolean} False if the file was not written because its content was unchanged
+ */
+export function saveDelimited(filename, rows, options) {
+  return writeFileAtomic(filename, formatDelimited(rows, options), options)
+}
+
+/**
+ * Find the rows for delimited output: the array at a path in the projected data
+ * @param {any} data The projected data
+ * @param {string} path A path such as "$.items" (see parsePath())
+ * @returns {any[]}
+ */
+function rowsAtPath(data, path) {
+  let current = data
+  for (const segment of parsePath(path)) {
+    current = current?.[segment]
+  }
+  if (!Array.isArray(current)) {
+    throw new FormatError(`Expecting an array of rows at ${path} in the output, not ${typeofEx(current)}`)
+  }
+  return current
+}
+
+// ------------------------------------------------------------------------
+// Diffing projections
+
+/**
+ * A difference between two projections (see diffProjections())
+ * @typedef {Object} ProjectionChange
+ * @property {string} path The JSON path of the value. Elements of arrays matched by key
+ * have a path segment like '[id=42]' instead of an index
+ * @property {"added" | "removed" | "changed"} kind
+ * @property {any} [before] The old value (unless added)
+ * @property {any} [after] The new value (unless removed)
+ */
+
+/**
+ * Options for diffProjections()
+ * @typedef {Object} DiffOptions
+ * @property {string | string[]} [key] The key field (or candidate key fields) to match the
+ * elements of arrays of records by, such as "id". The first candidate that all elements
+ * of both arrays have, with unique string or number values, is used. Other arrays are
+ * matched by index
+ */
+
+/**
+ * Find the key field to match the elements of two arrays by
+ * @param {any[]} before
+ * @param {any[]} after
+ * @param {string[]} candidates
+ * @returns {string | undefined}
+ */
+function arrayKeyField(before, after, candidates) {
+  const hasUniqueKeys = (elements, key) => {
+    const values = elements.map((element) => element?.[key])
+    return elements.every((element) => typeofEx(element) === "object") &&
+      values.every((value) => typeof (value) === "string" || typeof (value) === "number") &&
+      new Set(values).size === values.length
+  }
+  return candidates.find((key) => hasUniqueKeys(before, key) && hasUniqueKeys(after, key))
+}
+
+/**
+ * Add the differences between two values to the changes
+ * @param {any} before
+ * @param {any} after
+ * @param {string} path
+ * @param {string[]} keyFields
+ * @param {ProjectionChange[]} changes
+ */
+function diffValues(before, after, path, keyFields, changes) {
+  const beforeType = typeofEx(before)
+  const afterType = typeofEx(after)
+  if (beforeType === "object" && afterType === "object") {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    for (const key of keys) {
+      diffMember(ownValue(before, key), ownValue(after, key), path + pathSegment(key), keyFields, changes)
+    }
+  } else if (beforeType === "array" && afterType === "array") {
+    const keyField = arrayKeyField(before, after, keyFields)
+    if (keyField === undefined) {
+      for (let index = 0; index < Math.max(before.length, after.length); index++) {
+        diffMember(before[index], after[index], path + pathSegment(index), keyFields, changes)
+      }
+    } else {
+      const afterByKey = new Map(after.map((element) => [element[keyField], element]))
+      const beforeKeys = new Set(before.map((element) => element[keyField]))
+      const segment = (value) => `[${keyField}=${JSON.stringify(value)}]`
+      for (const element of before) {
+        const value = element[keyField]
+        diffMember(element, afterByKey.get(value), path + segment(value), keyFields, changes)
+      }
+      for (const element of after.filter((element) => !beforeKeys.has(element[keyField]))) {
+        changes.push({ path: path + segment(element[keyField]), kind: "added", after: element })
+      }
+    }
+  } else if (beforeType !== afterType || before !== after) {
+    changes.push({ path, kind: "changed", before, after })
+  }
+}
+
+/**
+ * Add the differences between two members (properties or elements), either of which may be missing
+ * @param {any} before
+ * @param {any} after
+ * @param {string} path
+ * @param {string[]} keyFields
+ * @param {ProjectionChange[]} changes
+ */
+function diffMember(before, after, path, keyFields, changes) {
+  if (before === undefined && after !== undefined) {
+    changes.push({ path, kind: "added", after })
+  } else if (before !== undefined && after === undefined) {
+    changes.push({ path, kind: "removed", before })
+  } else if (before !== undefined) {
+    diffValues(before, after, path, keyFields, changes)
+  }
+}
+
+/**
+ * Compare two projections, such as the outputs of two runs, and list the values that
+ * were added, removed or changed, by JSON path. Objects are compared property by property.
+ * Arrays are compared element by element: by index, or, for arrays of records with a key
+ * field (see DiffOptions), by key, so that inserting or reordering records does not show
+ * up as changes to all the records after it.
+ * @param {any} before The old projection
+ * @param {any} after The new projection
+ * @param {DiffOptions} [options]
+ * @returns {ProjectionChange[]} The changes, in document order (with added array elements
+ * after the other elements of the array)
+ */
+export function diffProjections(before, after, options) {
+  const changes = []
+  const keyFields = [options?.key ?? []].flat()
+  diffMember(before, after, "$", keyFields, changes)
+  return changes
+}
+
+/**
+ * Count the changes found by diffProjections() by kind
+ * @param {ProjectionChange[]} changes
+ * @returns {{added: number, removed: number, changed: number}}
+ */
+export function countChanges(changes) {
+  const count = (kind) => changes.filter((change) => change.kind === kind).length
+  return { added: count("added"), removed: count("removed"), changed: count("changed") }
+}
+
+/**
+ * Format the changes found by diffProjections() as human readable text, one line
+ * per change: "+ path: value" for added values, "- path: value" for removed values,
+ * and "~ path: old value -> new value" for changed values (values as compact JSON)
+ * @param {ProjectionChange[]} changes
+ * @returns {string}
+ */
+export function formatDiffReport(changes) {
+  return changes.map(({ path, kind, before, after }) => {
+    switch (kind) {
+      case "added":
+        return `+ ${path}: ${JSON.stringify(after)}`
+      case "removed":
+        return `- ${path}: ${JSON.stringify(before)}`
+      default:
+        return `~ ${path}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`
+    }
+  }).join("\n")
+}
+
+// ------------------------------------------------------------------------
+// Streaming projection
+
+/**
+ * Parse a path like "$.data.items" or '$["odd key"][2]' (as produced by contextPath())
+ * into its segments
+ * @param {string} path
+ * @returns {(string|number)[]}
+ */
+function parsePath(path) {
+  const segmentPattern = /\.([A-Za-z_$][A-Za-z0-9_$]*)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y
+  if (!path.startsWith("$")) {
+    throw new Error(`Expecting a path starting with "$", not "${path}"`)
+  }
+  const segments = []
+  segmentPattern.lastIndex = 1
+  while (segmentPattern.lastIndex < path.length) {
+    const start = segmentPattern.lastIndex
+    const m = segmentPattern.exec(path)
+    if (!m) {
+      throw new Error(`Invalid path "${path}" at position ${start}`)
+    }
+    segments.push(m[1] ?? (m[2] !== undefined ? Number(m[2]) : JSON.parse(m[3])))
+  }
+  return segments
+}
+
+/**
+ * Format path segments (see parsePath()) as a path
+ * @param {(string|number)[]} segments
+ * @returns {string}
+ */
+function formatPath(segments) {
+  return contextPath(segments.reduce((context, key) => childContext(context, key), rootContext()))
+}
+
+/**
+ * Find the array model for the array at a path in the data, given the model
+ * for the whole document. The path may only pass through object models (literal
+ * or makeMatch.object()), and must end at an array model (literal or makeMatch.array()).
+ * @param {any} model The model for the whole document
+ * @param {(string|number)[]} segments The path segments
+ * @returns {any[]} The array model, listing the models for the elements
+ */
+function arrayModelAtPath(model, segments) {
+  const unwrap = (m) => typeof (m) === "function" && ["object", "array"].includes(m.factory?.name) ? m.factory.args[0] : m
+  let current = unwrap(model)
+  for (const [index, segment] of segments.entries()) {
+    if (typeofEx(current) !== "object" || typeof (segment) !== "string" || current[segment] === undefined) {
+      throw new ModelError(`expecting an object model with a "${segment}" property to stream the array at ${formatPath(segments)}`,
+        formatPath(segments.slice(0, index)))
+    }
+    current = unwrap(current[segment])
+  }
+  if (!Array.isArray(current)) {
+    throw new ModelError(`expecting an array model to stream the array`, formatPath(segments))
+  }
+  return current
+}
+
+/**
+ * Create an incremental scanner for JSON text, that finds the array at the given path
+ * and reports each of its elements as soon as it is complete. Only the structure along
+ * the path is tracked; everything before the array is skipped without being parsed, and
+ * elements are parsed with JSON.parse(). The rest of the document, after the array, must
+ * be valid JSON (like for a non-streaming projection). Text is pushed in arbitrarily
+ * split chunks.
+ * @param {(string|number)[]} segments The path of the array
+ * @param {(element: any, index: number) => void} onElement Called for each element
+ * @returns {{push: (text: string) => void, finish: () => void}}
+ */
+function jsonArrayScanner(segments, onElement) {
+  let buffer = ""
+  let pos = 0
+  let consumed = 0 // the number of characters discarded from the start of the buffer
+  // the containers on the path to the array (and the array itself, as "target")
+  const stack = []
+  // the state of scanning a value that is skipped or collected as a whole
+  let raw = undefined
+  let found = false
+  let closed = false // the array was found and closed
+  let done = false
+  const special = /["\\{}[\]]/g
+
+  const fail = (message) => {
+    throw new SyntaxError(`Invalid JSON at offset ${consumed + pos}: ${message}`)
+  }
+
+  // Continue scanning the raw value; returns true when it is complete
+  const scanRaw = (atEnd) => {
+    if (raw.literal) {
+      while (pos < buffer.length && !/[\s,\]}]/.test(buffer[pos])) {
+        pos++
+      }
+      return pos < buffer.length || atEnd
+    }
+    special.lastIndex = pos
+    for (let m; (m = special.exec(buffer));) {
+      const c = m[0]
+      pos = m.index + 1
+      if (raw.inString) {
+        if (c === "\\") {
+          if (pos >= buffer.length) {
+            pos--
+            return false // the escaped character is in the next chunk
+          }
+          special.lastIndex = ++pos
+        } else if (c === '"') {
+          raw.inString = false
+        } else {
+          continue
+        }
+      } else if (c === '"') {
+        raw.inString = true
+      } else if (c === "{" || c === "[") {
+        raw.depth++
+      } else if (c === "}" || c === "]") {
+        raw.depth--
+      }
+      if (raw.depth === 0 && !raw.inString) {
+        return true
+      }
+    }
+    pos = buffer.length
+    return false
+  }
+
+  // Start a raw value at the current position; "element" values are reported, and
+  // "check" values are checked to be valid JSON
+  const startRaw = (keep) => {
+    const c = buffer[pos]
+    const container = c === "{" || c === "["
+    raw = { start: pos, keep, depth: container ? 1 : 0, inString: c === '"', literal: !container && c !== '"' }
+    pos++
+  }
+
+  // Finish the container on top of the stack
+  const pop = () => {
+    const frame = stack.pop()
+    closed ||= frame.type === "target"
+    if (stack.length === 0) {
+      done = true
+    } else {
+      stack[stack.length - 1].state = "commaOrEnd"
+    }
+  }
+
+  // Handle the start of a value at the current position, with the given key in its parent
+  const startValue = (depth, key) => {
+    const c = buffer[pos]
+    const onPath = !closed && (depth === 0 || key === segments[depth - 1])
+    if (onPath && depth === segments.length) {
+      if (c !== "[") {
+        fail(`expecting an array at the path`)
+      }
+      found = true
+      stack.push({ type: "target", state: "valueOrEnd", index: -1 })
+      pos++
+    } else if (onPath && (c === "{" || c === "[")) {
+      stack.push({ type: c === "{" ? "object" : "array", state: c === "{" ? "keyOrEnd" : "valueOrEnd", index: -1 })
+      pos++
+    } else {
+      startRaw(closed ? "check" : undefined)
+    }
+  }
+
+  const scan = (atEnd) => {
+    while (!done) {
+      if (raw) {
+        if (!scanRaw(atEnd)) {
+          return
+        }
+        if (raw.keep) {
+          const frame = stack[stack.length - 1]
+          const text = buffer.slice(raw.start, pos)
+          let element
+          try {
+            element = JSON.parse(text)
+          } catch (error) {
+            const what = raw.keep === "element" ? "element" : "value"
+            throw new SyntaxError(`Invalid JSON in the ${what} at offset ${consumed + raw.start}: ${error.message}`)
+          }
+          if (raw.keep === "element") {
+            onElement(element, frame.index)
+          }
+        }
+        raw = undefined
+        if (stack.length === 0) {
+          done = true // the document was a single value
+        } else {
+          stack[stack.length - 1].state = "commaOrEnd"
+        }
+        continue
+      }
+      while (pos < buffer.length && /\s/.test(buffer[pos])) {
+        pos++
+      }
+      if (pos >= buffer.length) {
+        return
+      }
+      const c = buffer[pos]
+      const frame = stack[stack.length - 1]
+      if (!frame) {
+        startValue(0, undefined)
+        continue
+      }
+      switch (frame.state) {
+        case "keyOrEnd":
+        case "key":
+          if (c === "}" && frame.state === "keyOrEnd") {
+            pos++
+            pop()
+          } else if (c === '"') {
+            const namePattern = /"(?:[^"\\]|\\.)*"/y
+            namePattern.lastIndex = pos
+            const m = namePattern.exec(buffer)
+            if (!m) {
+              return // the rest of the name is in the next chunk
+            }
+            frame.key = JSON.parse(m[0])
+            pos += m[0].length
+            frame.state = "colon"
+          } else {
+            fail(`expecting a property name, not '${c}'`)
+          }
+          break
+        case "colon":
+          if (c !== ":") {
+            fail(`expecting ':', not '${c}'`)
+          }
+          pos++
+          frame.state = "value"
+          break
+        case "valueOrEnd":
+        case "value":
+          if (c === "]" && frame.state === "valueOrEnd") {
+            pos++
+            pop()
+          } else if (frame.type === "object") {
+            startValue(stack.length, frame.key)
+          } else {
+            frame.index++
+            if (frame.type === "target") {
+              startRaw("element")
+            } else {
+              startValue(stack.length, frame.index)
+            }
+          }
+          break
+        case "commaOrEnd":
+          if (c === ",") {
+            pos++
+            frame.state = frame.type === "object" ? "key" : "value"
+          } else if (c === (frame.type === "object" ? "}" : "]")) {
+            pos++
+            pop()
+          } else {
+            fail(`expecting ',' or '${frame.type === "object" ? "}" : "]"}', not '${c}'`)
+          }
+          break
+      }
+    }
+  }
+
+  // Discard the text that is no longer needed
+  const compact = () => {
+    const keepFrom = raw?.keep ? raw.start : pos
+    if (keepFrom > 0) {
+      buffer = buffer.slice(keepFrom)
+      consumed += keepFrom
+      pos -= keepFrom
+      if (raw) {
+        raw.start -= keepFrom
+      }
+    }
+  }
+
+  // Only whitespace may follow the document
+  const checkEnd = () => {
+    if (done) {
+      while (pos < buffer.length && /\s/.test(buffer[pos])) {
+        pos++
+      }
+      if (pos < buffer.length) {
+        fail(`unexpected text after the JSON document`)
+      }
+    }
+  }
+
+  return {
+    push: (text) => {
+      buffer += text
+      scan(false)
+      checkEnd()
+      compact()
+    },
+    finish: () => {
+      scan(true)
+      checkEnd()
+      if (!found) {
+        throw new SyntaxError(`No array found at ${formatPath(segments)}`)
+      } else if (!done) {
+        throw new SyntaxError(`Unexpected end of the JSON input`)
+      }
+    },
+  }
+}
+
+/**
+ * Options for projectStream()
+ * @typedef {Object} StreamOptions
+ * @property {string} [path] The path of the array in the input document whose elements
+ * are projected, such as "$.data.items" (default "$": the document is an array)
+ * @property {Object.<string,any>} [library] The model library to resolve model references in
+ * @property {ProjectionIssue[]} [report] If provided, explain mode is enabled (see projectToModel())
+ * @property {boolean} [strict] If true, the projection fails with a ProjectionError at the
+ * first element with violations (or at the first invalid line of JSON Lines input).
+ * The output written so far is incomplete
+ * @property {"json" | "jsonl"} [input] The input format (default "json"). For JSON Lines,
+ * each line is a document that is projected to the model on its own, the path must be
+ * "$", and lines that are not valid JSON are skipped (see the invalidLines result)
+ * @property {"json" | "jsonl" | "csv" | "tsv"} [output] The output format (default "json"):
+ * a JSON array, JSON Lines with one projected element per line, or delimited text with
+ * a row per projected element (see formatDelimited())
+ * @property {string[]} [columns] The columns for CSV and TSV output. Without them the
+ * columns are only known at the end, so the projected elements are kept in memory until then
+ * @property {"json" | "error"} [nested] How to handle nested values in CSV and TSV output
+ * (see formatDelimited())
+ * @property {number | string} [indent] The indentation of JSON output (see SaveOptions)
+ * @property {boolean} [sortKeys] If true, object keys in JSON and JSON Lines output are sorted
+ * @property {boolean} [trailingNewline] If true, JSON output ends with a newline
+ * @property {boolean} [end] If false, the writable is not ended when the projection
+ * completes (default true)
+ */
+
+/**
+ * Project a large JSON document incrementally: the document is read from the readable
+ * stream, and each element of the array at the path is projected as soon as it is
+ * complete and written to the writable stream. So neither the input nor the output
+ * has to fit in memory (just one element of it at a time). The output is the array of
+ * projected elements, formatted like the output of the non-streaming projection.
+ * The model is the model for the whole document, like for projectToModel(); the array
+ * model at the path in it (see arrayModelAtPath()) is used for the elements. Parts of the
+ * document outside the array are skipped, and matchers see no document root.
+ * Invalid JSON in the input is reported with a SyntaxError, as by JSON.parse().
+ * @param {AsyncIterable<string|Uint8Array>} readable The input stream
+ * @param {any} model The model for the whole document
+ * @param {import("node:stream").Writable} writable The output stream
+ * @param {StreamOptions} [options]
+ * @returns {Promise<{elements: number, written: number, invalidLines: InvalidLine[]}>}
+ * The number of elements (or lines) read, the number of projected elements written,
+ * and the lines of JSON Lines input that were skipped because they are not valid JSON
+ */
+export async function projectStream(readable, model, writable, options) {
+  const segments = parsePath(options?.path ?? "$")
+  const report = options?.report ?? (options?.strict ? [] : undefined)
+  const jsonLines = options?.output === "jsonl"
+  // the elements of the output array are indented one level, like JSON.stringify() would
+  const indent = typeof (options?.indent) === "number" ? " ".repeat(Math.min(10, options.indent)) :
+    (options?.indent ?? "  ").slice(0, 10)
+  const newline = indent === "" ? "" : "\n" + indent
+  const delimited = options?.output === "csv" || options?.output === "tsv" ?
+    { delimiter: options.output === "tsv" ? "\t" : ",", columns: options.columns, nested: options.nested } : undefined
+  let pending = []
+  let elements = 0
+  let written = 0
+  const invalidLines = []
+  let scanner
+  if (options?.input === "jsonl") {
+    if (segments.length > 0) {
+      throw new Error(`Expecting path "$" for JSON Lines input, where each line is a document`)
+    }
+    const projector = compileModel(model, { library: options?.library })
+    const recordOptions = { report: options?.report, strict: options?.strict, library: options?.library }
+    scanner = jsonLinesScanner((record, line) => {
+      elements++
+      const projected = projectRecord(record, line, projector, recordOptions)
+      if (projected !== undefined) {
+        pending.push(projected)
+      }
+    }, (line, message) => {
+      if (options?.strict) {
+        throw new SyntaxError(`Invalid JSON on line ${line}: ${message}`)
+      }
+      invalidLines.push({ line, message })
+    })
+  } else {
+    const elementModels = arrayModelAtPath(model, segments)
+    const compiled = compileMatchers(elementModels, { library: options?.library })
+    const context = rootContext({ report, explain: options?.report !== undefined, library: options?.library, compiled })
+    const arrayContext = segments.reduce((parent, key) => childContext(parent, key), context)
+    scanner = jsonArrayScanner(segments, (element, index) => {
+      elements++
+      const mark = report?.length
+      const projected = projectFirstMatch(element, elementModels, undefined, childContext(arrayContext, index, element))
+      if (options?.strict) {
+        const violations = report.slice(mark).filter((issue) => issue.violation)
+        if (violations.length > 0) {
+          throw new ProjectionError(violations)
+        }
+      }
+      if (projected !== undefined) {
+        appendProjected(pending, projected)
+      }
+    })
+  }
+  let writeError = undefined
+  const onWriteError = (error) => {
+    writeError = error
+  }
+  writable.on("error", onWriteError)
+  const write = async (text) => {
+    if (writeError) {
+      throw writeError
+    }
+    if (!writable.write(text)) {
+      await new Promise((resolve, reject) => {
+        writable.once("drain", resolve)
+        writable.once("error", reject)
+      })
+    }
+  }
+  const flush = async (atEnd) => {
+    if (delimited && !delimited.columns) {
+      if (atEnd) {
+        // the columns are known now
+        await write(formatDelimited(pending, delimited))
+        written = pending.length
+      }
+    } else if (delimited) {
+      const header = written === 0 && (pending.length > 0 || atEnd) ? delimitedLine(delimited.columns, delimited.delimiter) : ""
+      const text = header + pending.map((row, index) => delimitedRow(row, written + index, delimited.columns, delimited)).join("")
+      written += pending.length
+      pending = []
+      if (text !== "") {
+        await write(text)
+      }
+    } else if (pending.length > 0) {
+      const values = options?.sortKeys ? pending.map(sortObjectKeys) : pending
+      const texts = jsonLines ? [formatJsonLines(values)] : values.map((value, index) =>
+        (written + index === 0 ? "[" : ",") + newline + JSON.stringify(value, null, indent).replaceAll("\n", newline))
+      written += pending.length
+      pending = []
+      await write(texts.join(""))
+    }
+  }
+  const decoder = new TextDecoder()
+  for await (const chunk of readable) {
+    scanner.push(typeof (chunk) === "string" ? chunk : decoder.decode(chunk, { stream: true }))
+    await flush()
+  }
+  scanner.push(decoder.decode())
+  scanner.finish()
+  await flush(true)
+  if (!jsonLines && !delimited) {
+    await write((written === 0 ? "[]" : (indent === "" ? "" : "\n") + "]") + (options?.trailingNewline ? "\n" : ""))
+  }
+  if (options?.end !== false) {
+    await new Promise((resolve, reject) => writable.end((error) => error ? reject(error) : resolve()))
+  }
+  writable.off("error", onWriteError)
+  return { elements, written, invalidLines }
+}
+
+// ------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Transformation
+ * @property {string} modelName
+ * @property {string} inputFile
+ * @property {string} outputFile
+ * @property {"stderr" | "file"} [explain] If defined, report dropped and mismatched nodes
+ * to stderr or to a side file next to the output file
+ * @property {boolean} [strict] If true, model violations are errors: the output
+ * is not written and the application exits with a non-zero exit code
+ * @property {string[]} [modelFiles] Model files (see parseModelFile()) whose models are
+ * added to the model library for this transformation
+ * @property {string} [inferInto] If defined, the input file is not projected, but used
+ * as a sample to infer a model from (see inferModel()). The inferred model is written
+ * to this file (as a JavaScript entry script if it has a ".js" or ".mjs" extension, or
+ * as a model file otherwise). The outputFile is not used in this case
+ * @property {number} [maxDepth] The maxDepth option for inferModel()
+ * @property {boolean} [schema] If true, the JSON Schema of the output (see modelToJsonSchema())
+ * is written next to the output file, as "<output>.schema.json"
+ * @property {boolean} [types] If true, TypeScript types for the output (see modelToTypeScript())
+ * are written next to the output file, as "<output>.d.ts"
+ * @property {string} [stream] If defined, the input is projected incrementally (see
+ * projectStream()), and this is the path of the array in the input to project
+ * @property {"json" | "jsonl" | "csv" | "tsv"} [format] The output format, whatever the
+ * extension of the output file. If undefined, the format follows the extension of the
+ * output file, or for stdout the extension of the input file (see fileFormat())
+ * @property {string[]} [columns] The columns for CSV and TSV output (see formatDelimited())
+ * @property {"json" | "error"} [nested] How nested values in CSV and TSV output are handled
+ * (see formatDelimited())
+ * @property {string} [rows] The path of the array in the output to write as the rows of
+ * CSV and TSV output (default: the output itself). Not used when streaming, where the
+ * projected elements are the rows
+ * @property {SaveOptions} [save] The options for formatting and writing the output files
+ * @property {"stderr" | "file"} [diff] If defined, the changes between the previous content
+ * of the output file and the new output (see diffProjections()) are reported to stderr or
+ * to a side file next to the output file
+ * @property {string} [compareWith] If defined, the output is not written, but the input
+ * file and this file are both projected, and the changes between them are reported to stdout
+ * @property {string[]} [diffKey] The key field candidates for diffProjections()
+ * @property {"text" | "json"} [diffFormat] The format of diff reports (see formatDiffReport())
+ * @property {{dir: string, modelName?: string}} [test] If defined, this is not a projection,
+ * but a run of the golden-file test cases in the directory (see findTestCases()): of all
+ * cases, or of the cases for one model if a model was selected with "-m"
+ * @property {boolean} [update] If true, the expected files of test cases that do not pass
+ * are regenerated (and created, for the inputs that have none for the selected model)
+ * @property {string} [baseDir] The directory (from "-d") or glob base the input file was
+ * found in, if any
+ * @property {boolean} [watch] If true, the application keeps watching the input and model
+ * files after processing them, and processes them again when they change
+ * @property {"quiet" | "normal" | "verbose"} [verbosity] How much progress information is
+ * logged to stderr: errors and warnings only, progress, or progress with details
+ * @property {string} [summary] If defined, a summary of the run (see RunSummary) is written
+ * as JSON to this file, or to stdout for "-"
+ */
+
+/**
+ * Parse arguments. The supported arguments are of the shapes
+ * "-f input.json output.json", "-f input.json", "-f 'pattern/*.json'" (a glob pattern,
+ * see expandGlob()) and "-d directory" (all data files in it), preceded by
+ * optional options that apply to all subsequent "-f" and "-d" arguments: "-o directory",
+ * "-m model", "-x" / "--explain", "--explain-file", "--strict",
+ * "--model-file models.json" (repeatable), "--schema", "--types", "--stream path",
+ * "--format json|jsonl|csv|tsv" (or "--jsonl"), "--columns a,b,c", "--rows path",
+ * "--indent n|tab", "--compact", "--sort-keys", "--trailing-newline", "--backup mode",
+ * "--keep-backups n", "--skip-unchanged", "--diff" / "--diff-file", "--diff-key id",
+ * "--diff-format text|json", and
+ * "--infer model.json" with "--max-depth n". After "--infer", "-f" takes one or more sample
+ * files instead of an input and output file. "-f -" reads the input from stdin (and writes
+ * the output to stdout unless an output file is given). "--diff before.json after.json"
+ * compares two input files instead, and "--test [directory]" runs golden-file test cases
+ * (with "--update" to regenerate the expected files). "--watch", "--update", "--quiet", "--verbose"
+ * and "--summary file" apply to the whole run, wherever they appear.
+ * Glob patterns and directories are expanded when the arguments are parsed.
+ * @param {string[]} args The arguments to parse
+ * @returns {Transformation[]}
+ */
+export function parseArguments(args) {
+  args = [...args] // clone, se we do not modify the argument itself
+  const results = []
+  // the options that apply to the subsequent "-f" arguments
+  const settings = {
+    modelName: "default",
+    explain: undefined,
+    strict: false,
+    modelFiles: [],
+    inferInto: undefined,
+    maxDepth: undefined,
+    schema: false,
+    types: false,
+    stream: undefined,
+    format: undefined,
+    columns: undefined,
+    rows: undefined,
+    outputDir: undefined,
+    save: {},
+    diff: undefined,
+    diffKey: [],
+    diffFormat: "text",
+  }
+  // the options that apply to the whole run
+  const runSettings = {
+    watch: false,
+    update: false,
+    verbosity: "normal",
+    summary: undefined,
+  }
+  const nextIsValue = () => args.length > 0 && (!args[0].startsWith("-") || args[0] === "-")
+  const valueOf = (option) => {
+    if (args.length === 0) {
+      throw new Error(`Expecting a value after "${option}"`)
+    }
+    return args.shift()
+  }
+  const countOf = (option, max = Infinity) => {
+    const count = Number(valueOf(option))
+    if (!Number.isInteger(count) || count < 0 || count > max) {
+      throw new Error(`Expecting a non-negative integer${max === Infinity ? "" : ` up to ${max}`} after "${option}"`)
+    }
+    return count
+  }
+  // whether a model was selected explicitly, rather than using "default"
+  let modelSelected = false
+  while (args.length > 0) {
+    const arg = args.shift()
+    if (arg === "-m") {
+      settings.modelName = args.shift()
+      modelSelected = true
+    } else if (arg === "-x" || arg === "--explain") {
+      settings.explain = "stderr"
+    } else if (arg === "--explain-file") {
+      settings.explain = "file"
+    } else if (arg === "--strict") {
+      settings.strict = true
+    } else if (arg === "--schema") {
+      settings.schema = true
+    } else if (arg === "--types") {
+      settings.types = true
+    } else if (arg === "--jsonl") {
+      settings.format = "jsonl"
+    } else if (arg === "--format") {
+      const format = valueOf(arg)
+      if (!["json", "jsonl", "csv", "tsv"].includes(format)) {
+        throw new Error(`Expecting "json", "jsonl", "csv" or "tsv" after "--format", not "${format}"`)
+      }
+      settings.format = format
+    } else if (arg === "--columns") {
+      settings.columns = valueOf(arg).split(",").map((column) => column.trim())
+    } else if (arg === "--nested") {
+      const nested = valueOf(arg)
+      if (nested !== "json" && nested !== "error") {
+        throw new Error(`Expecting "json" or "error" after "--nested", not "${nested}"`)
+      }
+      settings.nested = nested
+    } else if (arg === "-o") {
+      settings.outputDir = valueOf(arg)
+    } else if (arg === "--watch") {
+      runSettings.watch = true
+    } else if (arg === "--quiet" || arg === "-q") {
+      runSettings.verbosity = "quiet"
+    } else if (arg === "--verbose" || arg === "-v") {
+      runSettings.verbosity = "verbose"
+    } else if (arg === "--summary") {
+      runSettings.summary = valueOf(arg)
+    } else if (arg === "--rows") {
+      settings.rows = valueOf(arg)
+      parsePath(settings.rows) // validate it
+    } else if (arg === "--stream") {
+      settings.stream = valueOf(arg)
+      parsePath(settings.stream) // validate it
+    } else if (arg === "--model-file") {
+      settings.modelFiles = [...settings.modelFiles, valueOf(arg)]
+    } else if (arg === "--infer") {
+      settings.inferInto = valueOf(arg)
+    } else if (arg === "--max-depth") {
+      settings.maxDepth = countOf(arg)
+    } else if (arg === "--indent") {
+      const indent = args[0] === "tab" ? (args.shift(), "\t") : countOf(arg, 10)
+      settings.save = { ...settings.save, indent }
+    } else if (arg === "--compact") {
+      settings.save = { ...settings.save, indent: 0 }
+    } else if (arg === "--sort-keys") {
+      settings.save = { ...settings.save, sortKeys: true }
+    } else if (arg === "--trailing-newline") {
+      settings.save = { ...settings.save, trailingNewline: true }
+    } else if (arg === "--skip-unchanged") {
+      settings.save = { ...settings.save, skipUnchanged: true }
+    } else if (arg === "--backup") {
+      const backup = valueOf(arg)
+      if (!["single", "none", "timestamped", "numbered"].includes(backup)) {
+        throw new Error(`Expecting "single", "none", "timestamped" or "numbered" after "--backup", not "${backup}"`)
+      }
+      settings.save = { ...settings.save, backup }
+    } else if (arg === "--diff") {
+      if (nextIsValue()) {
+        const inputFile = args.shift()
+        if (!nextIsValue()) {
+          throw new Error(`Expecting two files to compare after "--diff"`)
+        }
+        results.push({ ...settings, inputFile, outputFile: "-", compareWith: args.shift() })
+      } else {
+        settings.diff = "stderr"
+      }
+    } else if (arg === "--test") {
+      const dir = nextIsValue() ? args.shift() : "cases"
+      if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+        throw new Error(`Expecting a directory of test cases after "--test", not "${dir}"`)
+      }
+      const test = { dir, modelName: modelSelected ? settings.modelName : undefined }
+      results.push({ ...settings, inputFile: dir, outputFile: "-", test })
+    } else if (arg === "--update") {
+      runSettings.update = true
+    } else if (arg === "--diff-file") {
+      settings.diff = "file"
+    } else if (arg === "--diff-key") {
+      settings.diffKey = valueOf(arg).split(",").map((key) => key.trim())
+    } else if (arg === "--diff-format") {
+      const diffFormat = valueOf(arg)
+      if (!["text", "json"].includes(diffFormat)) {
+        throw new Error(`Expecting "text" or "json" after "--diff-format", not "${diffFormat}"`)
+      }
+      settings.diffFormat = diffFormat
+    } else if (arg === "--keep-backups") {
+      settings.save = { ...settings.save, keepBackups: countOf(arg) }
+    } else if (arg === "-d") {
+      const baseDir = valueOf(arg)
+      if (!existsSync(baseDir) || !statSync(baseDir).isDirectory()) {
+        throw new Error(`Expecting a directory after "-d", not "${baseDir}"`)
+      }
+      for (const inputFile of listDataFiles(baseDir)) {
+        results.push({ ...settings, inputFile, outputFile: outputFileFor(inputFile, settings, baseDir), baseDir })
+      }
+    } else if (arg === "-f") {
+      if (args.length > 0) {
+        const inputFile = args.shift()
+        if (settings.inferInto !== undefined) {
+          const samples = [inputFile]
+          while (nextIsValue()) {
+            samples.push(args.shift())
+          }
+          for (const sample of samples.flatMap((file) => isGlobPattern(file) ? expandGlob(file).files : [file])) {
+            results.push({ ...settings, inputFile: sample, outputFile: settings.inferInto });
+          }
+        } else if (isGlobPattern(inputFile)) {
+          const { baseDir, files } = expandGlob(inputFile)
+          if (files.length === 0) {
+            console.warn(`  No files match "${inputFile}"`)
+          }
+          for (const file of files) {
+            results.push({ ...settings, inputFile: file, outputFile: outputFileFor(file, settings, baseDir), baseDir })
+          }
+        } else if (nextIsValue()) {
+          const outputFile = args.shift()
+          results.push({ ...settings, inputFile, outputFile });
+        } else if (inputFile === "-") {
+          results.push({ ...settings, inputFile, outputFile: "-" });
+        } else {
+          results.push({ ...settings, inputFile, outputFile: outputFileFor(inputFile, settings) });
+        }
+      } else {
+        throw new Error(`Expecting a file name after "-f"`)
+      }
+    } else if (arg.endsWith("node.exe") || arg === process.execPath) {
+      const script = args.shift()
+      // ignore
+    } else {
+      throw new Error(`Unexpected argument "${arg}"; expecting "-f", "-d", "-m", "-x", "--model-file" or "--infer"`)
+    }
+  }
+  // stdin can only be read once
+  if (results.flatMap((result) => [result.inputFile, result.compareWith]).filter((file) => file === "-").length > 1) {
+    throw new Error(`Cannot read stdin ("-") more than once`)
+  }
+  if (runSettings.summary === "-" && results.some((result) => result.test === undefined && result.outputFile === "-")) {
+    throw new Error(`Cannot write the summary to stdout ("--summary -") when output is written to stdout too`)
+  }
+  return results.map((result) => ({ ...result, ...runSettings }))
+}
+
+/**
+ * Test if a file name is that of a file written by the application, rather than
+ * an input: a default output file name (see outputFileFor()), a schema file or a diff report
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isGeneratedFile(filename) {
+  return /\.out\.[^./\\]+$|\.(schema|diff)\.json$/i.test(filename)
+}
+
+/**
+ * List the files in a directory and its subdirectories, as paths relative to it
+ * with "/" separators, in sorted order
+ * @param {string} dir
+ * @param {number} [maxDepth] The number of directory levels to descend (default: unlimited)
+ * @returns {string[]}
+ */
+function listFiles(dir, maxDepth = Infinity) {
+  const files = []
+  const entries = readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  for (const entry of entries) {
+    if (entry.isDirectory() && maxDepth > 0) {
+      files.push(...listFiles(join(dir, entry.name), maxDepth - 1).map((file) => entry.name + "/" + file))
+    } else if (entry.isFile()) {
+      files.push(entry.name)
+    }
+  }
+  return files
+}
+
+/**
+ * Test if an input file argument is a glob pattern (containing "*" or "?")
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function isGlobPattern(pattern) {
+  return /[*?]/.test(pattern)
+}
+
+/**
+ * Expand a glob pattern to the matching files, such as "exports/*.json" or
+ * "exports/**\/*.jsonl". "*" and "?" match within a path segment, "**" matches
+ * any number of directories. Files written by the application are not included
+ * (see isGeneratedFile()).
+ * @param {string} pattern
+ * @returns {{baseDir: string, files: string[]}} The directory before the first
+ * wildcard, and the matching files (including the baseDir)
+ */
+function expandGlob(pattern) {
+  const segments = pattern.replaceAll("\\", "/").split("/")
+  const wildcardIndex = segments.findIndex(isGlobPattern)
+  const baseDir = segments.slice(0, wildcardIndex).join("/") || "."
+  const rest = segments.slice(wildcardIndex)
+  const source = rest.join("/").replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g, (token) =>
+    ({ "**/": "(?:.*/)?", "**": ".*", "*": "[^/]*", "?": "[^/]" })[token] ?? "\\" + token)
+  const regex = new RegExp(`^${source}$`)
+  const maxDepth = rest.includes("**") || rest.some((segment) => segment.includes("**")) ? Infinity : rest.length - 1
+  const files = existsSync(baseDir) ? listFiles(baseDir, maxDepth)
+    .filter((file) => regex.test(file) && !isGeneratedFile(file))
+    .map((file) => join(baseDir, file)) : []
+  return { baseDir, files }
+}
+
+/**
+ * List the data files (JSON and JSON Lines) in a directory and its subdirectories,
+ * leaving out files written by the application (see isGeneratedFile())
+ * @param {string} dir
+ * @returns {string[]} The files (including the dir)
+ */
+function listDataFiles(dir) {
+  return listFiles(dir)
+    .filter((file) => /\.(json|jsonl|ndjson)$/i.test(file) && !isGeneratedFile(file))
+    .map((file) => join(dir, file))
+}
+
+/**
+ * Generate the default output file name for an input file: "<input>.<model>.out<.ext>",
+ * where the extension is that of the input, or of the output format if one was selected.
+ * With an output directory, the file goes there, keeping its path relative to the
+ * baseDir (the directory or glob base it was found in), or just its name otherwise.
+ * @param {string} inputFile
+ * @param {{modelName: string, format?: string, outputDir?: string}} settings
+ * @param {string} [baseDir]
+ * @returns {string}
+ */
+function outputFileFor(inputFile, settings, baseDir) {
+  const extensionIndex = inputFile.lastIndexOf(".")
+  if (extensionIndex < 0 || /[/\\]/.test(inputFile.slice(extensionIndex))) {
+    throw new Error(`Expecting file name to have an extension`)
+  }
+  const extension = settings.format !== undefined && settings.format !== fileFormat(inputFile) ?
+    "." + settings.format : inputFile.slice(extensionIndex)
+  const prefix = inputFile.slice(0, extensionIndex)
+  const outputFile = prefix + "." + settings.modelName + ".out" + extension
+  if (settings.outputDir === undefined) {
+    return outputFile
+  }
+  return join(settings.outputDir, baseDir === undefined ? basename(outputFile) : relative(baseDir, outputFile))
+}
+
+/**
+ * Determine the format of a data file from its extension: "jsonl" for JSON Lines
+ * (see isJsonLinesFile()), "csv" for ".csv", "tsv" for ".tsv" or ".tab", and "json" otherwise
+ * @param {string} filename
+ * @returns {"json" | "jsonl" | "csv" | "tsv"}
+ */
+function fileFormat(filename) {
+  if (isJsonLinesFile(filename)) {
+    return "jsonl"
+  }
+  return /\.csv$/i.test(filename) ? "csv" : /\.(tsv|tab)$/i.test(filename) ? "tsv" : "json"
+}
+
+/**
+ * Load an existing JSON file
+ * @param {string} filename 
+ * @returns {any}
+ */
+export function loadJson(filename) {
+  return JSON.parse(readFileSync(filename, "utf8"))
+}
+
+/**
+ * Options for saveJson() and the other save functions
+ * @typedef {Object} SaveOptions
+ * @property {number | string} [indent] The indentation of JSON output: a number of spaces
+ * or an indentation string (default 2). Use 0 for compact output
+ * @property {boolean} [sortKeys] If true, object keys in JSON output are sorted (at all
+ * levels), so that the output is stable and diff friendly
+ * @property {boolean} [trailingNewline] If true, JSON output ends with a newline
+ * @property {"single" | "none" | "timestamped" | "numbered"} [backup] How the existing
+ * content of the file is backed up: as "<file>.bak", replacing any previous backup (the
+ * default); not at all; as "<file>.<timestamp>.bak"; or as "<file>.bak.1" after renaming
+ * the previous backups to "<file>.bak.2" and so on
+ * @property {number} [keepBackups] The number of timestamped or numbered backups to keep
+ * (default 5); older backups are deleted
+ * @property {boolean} [skipUnchanged] If true, a file whose content would not change is
+ * left alone: it is not written and not backed up, so it keeps its modification time
+ */
+
+/**
+ * Rebuild a value with the keys of all objects in it sorted
+ * @param {any} value
+ * @returns {any}
+ */
+function sortObjectKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortObjectKeys)
+  } else if (typeofEx(value) === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortObjectKeys(value[key])]))
+  }
+  return value
+}
+
+/**
+ * Format data as JSON text, using the JSON formatting options
+ * @param {any} data
+ * @param {SaveOptions} [options] The indent, sortKeys and trailingNewline options
+ * @returns {string}
+ */
+export function formatJson(data, options) {
+  const text = JSON.stringify(options?.sortKeys ? sortObjectKeys(data) : data, null, options?.indent ?? 2)
+  return options?.trailingNewline ? text + "\n" : text
+}
+
+/**
+ * Test if a file exists and has the given content
+ * @param {string} filename
+ * @param {string | Buffer} content
+ * @returns {boolean}
+ */
+function hasContent(filename, content) {
+  if (!existsSync(filename)) {
+    return false
+  }
+  const buffer = typeof (content) === "string" ? Buffer.from(content) : content
+  return statSync(filename).size === buffer.length && readFileSync(filename).equals(buffer)
+}
+
+/**
+ * Test if two files have the same content, reading them in blocks
+ * @param {string} fileA
+ * @param {string} fileB
+ * @returns {boolean}
+ */
+function sameFiles(fileA, fileB) {
+  if (!existsSync(fileA) || !existsSync(fileB) || statSync(fileA).size !== statSync(fileB).size) {
+    return false
+  }
+  const fdA = openSync(fileA, "r")
+  const fdB = openSync(fileB, "r")
+  try {
+    const bufferA = Buffer.alloc(65536)
+    const bufferB = Buffer.alloc(65536)
+    for (; ;) {
+      const length = readSync(fdA, bufferA)
+      if (length === 0) {
+        return true
+      }
+      if (readSync(fdB, bufferB, 0, length) !== length || !bufferA.subarray(0, length).equals(bufferB.subarray(0, length))) {
+        return false
+      }
+    }
+  } finally {
+    closeSync(fdA)
+    closeSync(fdB)
+  }
+}
+
+/**
+ * If the file exists, copy it to a backup file (see the backup option of SaveOptions)
+ * @param {string} filename
+ * @param {SaveOptions} [options]
+ */
+function makeBackup(filename, options) {
+  const backup = options?.backup ?? "single"
+  const keepBackups = options?.keepBackups ?? 5
+  if (backup === "none" || !existsSync(filename)) {
+    return
+  }
+  if (backup === "single") {
+    copyFileSync(filename, filename + ".bak")
+  } else if (backup === "numbered") {
+    rmSync(`${filename}.bak.${keepBackups}`, { force: true })
+    for (let index = keepBackups - 1; index >= 1; index--) {
+      if (existsSync(`${filename}.bak.${index}`)) {
+        renameSync(`${filename}.bak.${index}`, `${filename}.bak.${index + 1}`)
+      }
+    }
+    if (keepBackups > 0) {
+      copyFileSync(filename, `${filename}.bak.1`)
+    }
+  } else if (backup === "timestamped") {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-")
+    copyFileSync(filename, `${filename}.${timestamp}.bak`)
+    // the timestamps sort in chronological order
+    const name = basename(filename)
+    const backupPattern = /^\.\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z\.bak$/
+    const backups = readdirSync(dirname(filename))
+      .filter((file) => file.startsWith(name) && backupPattern.test(file.slice(name.length)))
+      .sort()
+    for (const file of backups.slice(0, Math.max(0, backups.length - keepBackups))) {
+      rmSync(join(dirname(filename), file))
+    }
+  } else {
+    throw new Error(`Unknown backup mode "${backup}"`)
+  }
 }
 
-// ------------------------------------------------------------------------
+/**
+ * Replace the content of a file atomically: the content is written to a temporary file
+ * that is renamed to the file, after backing up the existing file. So the file is never
+ * left partially written.
+ * @param {string} filename
+ * @param {string} content
+ * @param {SaveOptions} [options] The backup, keepBackups and skipUnchanged options
+ * @returns {boolean} False if the file was left alone because its content was unchanged
+ */
+function writeFileAtomic(filename, content, options) {
+  if (options?.skipUnchanged && hasContent(filename, content)) {
+    return false
+  }
+  const tempFile = `${filename}.${process.pid}.tmp`
+  try {
+    writeFileSync(tempFile, content) // UTF8 is default
+    makeBackup(filename, options)
+    renameSync(tempFile, filename)
+  } catch (error) {
+    rmSync(tempFile, { force: true })
+    throw error
+  }
+  return true
+}
 
 /**
- * @typedef {Object} Transformation
- * @property {string} modelName
- * @property {string} inputFile
- * @property {string} outputFile
+ * Save data to a JSON file. The file is replaced atomically, and if it exists
+ * a backup of the existing content is made first (see SaveOptions)
+ * @param {string} filename The name of the file to save
+ * @param {string | any} data The data to save, either as a pre-formatted JSON string,
+ * or as some item to be converted to JSON
+ * @param {SaveOptions} [options] The formatting options apply if the data is not a string
+ * @returns {boolean} False if the file was not written because its content was unchanged
+ * (see the skipUnchanged option)
  */
+export function saveJson(filename, data, options) {
+  if (typeof (data) !== "string") {
+    data = formatJson(data, options)
+  }
+  return writeFileAtomic(filename, data, options)
+}
 
 /**
- * Parse arguments. Currently the only supported arguments are of
- * the shapes "-f input.json output.json" and "-f input.json"
- * @param {string[]} args The arguments to parse
- * @returns {Transformation[]}
+ * Create a new object model by (deeply) merging overrides into a base object model.
+ * Where both the base and the override have a plain object model for the same key,
+ * those are merged recursively; otherwise the override replaces the base model.
+ * Neither argument is modified.
+ * @param {Object.<string,any>} baseModel The object model to extend
+ * @param {Object.<string,any>} overrides The models to add or replace
+ * @returns {Object.<string,any>} The new model
  */
-export function parseArguments(args) {
-  args = [...args] // clone, se we do not modify the argument itself
-  const results = []
-  let modelName = "default"
-  while (args.length > 0) {
-    const arg = args.shift()
-    if (arg === "-m") {
-      modelName = args.shift()
-    } else if (arg === "-f") {
-      if (args.length > 0) {
-        const inputFile = args.shift()
-        const extensionIndex = inputFile.lastIndexOf(".")
-        if (extensionIndex < 0) {
-          throw new Error(`Expecting file name to have an extension`)
-        }
-        if (args.length > 0 && (!args[0].startsWith("-") || args[0] === "-")) {
-          const outputFile = args.shift()
-          results.push({ modelName, inputFile, outputFile });
-        } else {
-          const extension = inputFile.slice(extensionIndex)
-          const prefix = inputFile.slice(0, extensionIndex)
-          const outputFile = prefix + "." + modelName + ".out" + extension
-          results.push({ modelName, inputFile, outputFile });
-        }
-      } else {
-        throw new Error(`Expecting a file name after "-f"`)
-      }
-    } else if (arg.endsWith("node.exe")) {
-      const script = args.shift()
-      // ignore
+export function extendModel(baseModel, overrides) {
+  if (typeofEx(baseModel) !== "object" || typeofEx(overrides) !== "object") {
+    throw new Error("Expecting a base model and overrides that are objects")
+  }
+  const result = { ...baseModel }
+  for (const [key, override] of Object.entries(overrides)) {
+    if (typeofEx(result[key]) === "object" && typeofEx(override) === "object") {
+      result[key] = extendModel(result[key], override)
     } else {
-      throw new Error(`Unexpected argument "${arg}"; expecting "-f" or "-m"`)
+      result[key] = override
     }
   }
-  return results
+  return result
 }
 
 /**
- * Load an existing JSON file
- * @param {string} filename 
- * @returns {any}
+ * Create a new object model by removing keys from a base object model.
+ * Neither argument is modified.
+ * @param {Object.<string,any>} baseModel The object model to remove keys from
+ * @param {string[]} keys The keys to remove. Dot separated paths (such as "realm.slug")
+ * remove keys from nested object models
+ * @returns {Object.<string,any>} The new model
  */
-export function loadJson(filename) {
-  return JSON.parse(readFileSync(filename, "utf8"))
+export function omitModel(baseModel, keys) {
+  if (typeofEx(baseModel) !== "object") {
+    throw new Error("Expecting a base model that is an object")
+  }
+  const result = { ...baseModel }
+  for (const key of keys) {
+    const [head, ...tail] = key.split(".")
+    if (tail.length === 0) {
+      delete result[head]
+    } else if (typeofEx(result[head]) === "object") {
+      result[head] = omitModel(result[head], [tail.join(".")])
+    }
+  }
+  return result
 }
 
 /**
- * Save data to a JSON file. If the target file exists a backup
- * of the existing content is made first
- * @param {string} filename The name of the file to save
- * @param {string | any} data The data to save, either as a pre-formatted JSON string,
- * or as some item to be converted to JSON
+ * Options for projectToModel()
+ * @typedef {Object} ProjectionOptions
+ * @property {ProjectionIssue[]} [report] If provided, explain mode is enabled: each
+ * input node that is dropped or does not match its model is recorded in this array
+ * @property {boolean} [strict] If true, the projection fails with a ProjectionError
+ * listing all violations (such as missing required fields) instead of returning a result
+ * @property {Object.<string,any>} [library] The model library to resolve model references
+ * against, when projecting to a model instead of to a named model from a library
  */
-export function saveJson(filename, data) {
-  if (existsSync(filename)) {
-    const bakName = filename + ".bak"
-    if (existsSync(bakName)) {
-      rmSync(bakName)
-    }
-    renameSync(filename, bakName)
+
+/**
+ * The error thrown by a strict projection that found one or more violations
+ */
+export class ProjectionError extends Error {
+  /**
+   * @param {ProjectionIssue[]} issues The violations
+   */
+  constructor(issues) {
+    super(`Projection failed with ${issues.length} violation(s):\n${formatProjectionReport(issues)}`)
+    this.name = "ProjectionError"
+    /** @type {ProjectionIssue[]} */
+    this.issues = issues
   }
-  if (typeof (data) !== "string") {
-    data = JSON.stringify(data, null, 2)
+}
+
+/**
+ * The error thrown by compileModel() for an invalid model
+ */
+export class ModelError extends Error {
+  /**
+   * @param {string} message What is wrong with the model node
+   * @param {string} path The path of the model node in the model (such as "$.items[0].name"),
+   * where "(name)" denotes the model argument of a makeMatch.name() matcher
+   * @param {string} [modelName] The name of the model, if known
+   */
+  constructor(message, path, modelName) {
+    super(`Invalid model${modelName === undefined ? "" : ` "${modelName}"`} at ${path}: ${message}`)
+    this.name = "ModelError"
+    /** @type {string} */
+    this.path = path
+    /** @type {string | undefined} */
+    this.modelName = modelName
   }
-  writeFileSync(filename, data) // UTF8 is default
 }
 
 /**
@@ -542,50 +5201,813 @@ export function saveJson(filename, data) {
  * model itself if modelName is undefined.
  * @param {string | undefined} modelName The name of the model (if undefined, modelOrLibrary
  * is interpreted as the model itself)
+ * @param {ProjectionOptions} [options] Additional projection options
  * @returns {any} The projected data
  */
-export function projectToModel(data, modelOrLibrary, modelName) {
+export function projectToModel(data, modelOrLibrary, modelName, options) {
   const model = (modelName === undefined || modelName === null) ? modelOrLibrary : modelOrLibrary[modelName]
   if (model === undefined) {
     const modelNames = Object.keys(modelOrLibrary).join(", ")
     throw new Error(`Unknown model "${modelName}". Known model names are: ${modelNames}`)
   }
-  return projectAny(data, model);
+  const library = (modelName === undefined || modelName === null) ? options?.library : modelOrLibrary
+  return projectDocument(data, model, library, options)
+}
+
+/**
+ * Project a whole document to a model (see projectToModel())
+ * @param {any} data The data to project
+ * @param {any} model
+ * @param {Object.<string,any>} [library] The library to resolve model references in
+ * @param {ProjectionOptions} [options]
+ * @param {WeakMap<Object, matchFunction>} [compiled] The compiled matchers (see compileModel())
+ * @returns {any} The projected data
+ */
+function projectDocument(data, model, library, options, compiled) {
+  const explain = options?.report !== undefined
+  const strict = options?.strict === true
+  const report = explain ? options.report : strict ? [] : undefined
+  const start = report?.length
+  const context = rootContext({ report, explain, library, root: data, compiled })
+  let result = projectAny(data, model, context)
+  if (typeof (result) === "function") {
+    // A merge function at the top level is merged into an empty object
+    const hostObject = {}
+    result({ hostObject, hostKey: "" })
+    result = hostObject
+  }
+  if (result === undefined) {
+    reportIssue(context, "mismatch", describeModel(model), data, strict)
+  }
+  if (strict) {
+    const violations = report.slice(start).filter((issue) => issue.violation)
+    if (violations.length > 0) {
+      throw new ProjectionError(violations)
+    }
+  }
+  return result;
+}
+
+/**
+ * A projection function returned by compileModel()
+ * @typedef {(data: any, options?: ProjectionOptions) => any} Projector
+ */
+
+/**
+ * Options for compileModel()
+ * @typedef {Object} CompileOptions
+ * @property {Object.<string,any>} [library] The model library that model references are
+ * resolved in. If provided, the references are checked, and the referenced models are
+ * compiled as well. It is also the default library for the projector
+ * @property {string} [modelName] The name of the model, used in error messages
+ */
+
+/**
+ * Validate a model and precompile it for repeated projection. The model is walked
+ * once, reporting invalid model nodes with their path as a ModelError. The object and
+ * array models in it are compiled into matchers that are reused for every data node,
+ * instead of being interpreted anew for each node (which matters for large inputs).
+ * The projector does not see changes made to the model afterwards (projectToModel() does).
+ * @param {any} model The model to compile
+ * @param {CompileOptions} [options]
+ * @returns {Projector} A function that projects data to the model, like
+ * projectToModel(data, model, undefined, options)
+ */
+export function compileModel(model, options) {
+  const compiled = compileMatchers(model, options)
+  return (data, projectionOptions) =>
+    projectDocument(data, model, projectionOptions?.library ?? options?.library, projectionOptions, compiled)
+}
+
+/**
+ * Validate a model and compile the object and array models in it (see compileModel())
+ * @param {any} model The model to compile
+ * @param {CompileOptions} [options]
+ * @returns {WeakMap<Object, matchFunction>} The compiled matchers
+ */
+function compileMatchers(model, options) {
+  const compiled = new WeakMap()
+  compileModelNode(model, "$", { library: options?.library, modelName: options?.modelName, visited: new Set(), compiled })
+  return compiled
+}
+
+/**
+ * Format the issues collected in explain mode as human readable text, one line per issue
+ * @param {ProjectionIssue[]} report The issues to format
+ * @returns {string}
+ */
+export function formatProjectionReport(report) {
+  return report.map(({ path, reason, expected, actual, violation, line }) => {
+    const prefix = violation ? "required value " : ""
+    const location = line === undefined ? path : `line ${line}: ${path}`
+    switch (reason) {
+      case "missing":
+        return `${location}: ${prefix}missing (expected ${expected})`
+      case "rejected":
+        return `${location}: rejected by ${expected} (${actual})`
+      default:
+        return `${location}: ${prefix}${reason} (expected ${expected}, got ${actual})`
+    }
+  }).join("\n")
+}
+
+/**
+ * Log functions for progress information, which is written to stderr (so that
+ * it does not mix with output written to stdout). Errors and warnings are always
+ * written to stderr directly.
+ * @typedef {Object} Logger
+ * @property {(message: string) => void} info Log progress (unless "--quiet")
+ * @property {(message: string) => void} verbose Log progress details (only with "--verbose")
+ */
+
+/**
+ * Create the logger for a verbosity level
+ * @param {"quiet" | "normal" | "verbose"} verbosity
+ * @returns {Logger}
+ */
+function createLogger(verbosity) {
+  const write = (message) => console.error(message)
+  const ignore = () => { }
+  return {
+    info: verbosity === "quiet" ? ignore : write,
+    verbose: verbosity === "verbose" ? write : ignore,
+  }
+}
+
+/**
+ * Load the JSON input of a transformation: a file, or stdin for "-"
+ * @param {string} inputFile
+ * @returns {any}
+ */
+function loadInput(inputFile) {
+  return inputFile === "-" ? JSON.parse(readFileSync(process.stdin.fd, "utf8")) : loadJson(inputFile)
+}
+
+/**
+ * Project an input file (or stdin, for "-") as a whole: a JSON document, or a JSON Lines
+ * document whose lines are projected one by one into an array
+ * @param {string} inputFile
+ * @param {Projector} projector The compiled model
+ * @param {ProjectionOptions} options
+ * @returns {any}
+ */
+function projectInputFile(inputFile, projector, options) {
+  return isJsonLinesFile(inputFile) ?
+    loadJsonLines(inputFile).records.map(({ value, line }) => projectRecord(value, line, projector, options))
+      .filter((value) => value !== undefined) :
+    projector(loadInput(inputFile), options)
+}
+
+/**
+ * A golden-file test case (see "--test"): an input and the expected output for a model
+ * @typedef {Object} TestCase
+ * @property {string} name The name of the case, such as "realm/basic"
+ * @property {string} modelName
+ * @property {string} inputFile "<name>.input.json" (or ".input.jsonl")
+ * @property {string} expectedFile "<name>.<model>.expected.json"
+ */
+
+/**
+ * Find the golden-file test cases in a directory and its subdirectories: each
+ * "<name>.<model>.expected.json" file with a "<name>.input.json" (or ".input.jsonl") file
+ * @param {string} dir
+ * @returns {{cases: TestCase[], inputs: string[], orphans: string[]}} The cases, all input
+ * files, and the expected files without input file
+ */
+function findTestCases(dir) {
+  const files = listFiles(dir)
+  const inputs = files.filter((file) => /\.input\.jsonl?$/.test(file))
+  const cases = []
+  const orphans = []
+  for (const file of files) {
+    const m = /^(.*)\.([^./]+)\.expected\.json$/.exec(file)
+    if (m) {
+      const input = inputs.find((input) => input === `${m[1]}.input.json` || input === `${m[1]}.input.jsonl`)
+      if (input === undefined) {
+        orphans.push(join(dir, file))
+      } else {
+        cases.push({ name: m[1], modelName: m[2], inputFile: join(dir, input), expectedFile: join(dir, file) })
+      }
+    }
+  }
+  return { cases, inputs: inputs.map((input) => join(dir, input)), orphans }
+}
+
+/**
+ * Load an output file written by the application, to compare it (see "--diff")
+ * @param {string} filename
+ * @param {"json" | "jsonl"} format
+ * @returns {any} The content (for JSON Lines, the array of lines)
+ */
+function loadOutput(filename, format) {
+  return format === "jsonl" ? loadJsonLines(filename).records.map((record) => record.value) : loadJson(filename)
+}
+
+/**
+ * Format the changes found by diffProjections() as a report: text (see formatDiffReport())
+ * or JSON, with the counts of the changes by kind (see countChanges()) and the changes
+ * @param {ProjectionChange[]} changes
+ * @param {"text" | "json"} diffFormat
+ * @returns {string}
+ */
+function diffReport(changes, diffFormat) {
+  return diffFormat === "json" ?
+    formatJson({ ...countChanges(changes), changes }, { trailingNewline: true }) :
+    formatDiffReport(changes) + (changes.length > 0 ? "\n" : "")
+}
+
+/**
+ * Project an input file (or stdin, for "-") to an output file (or stdout, for "-")
+ * incrementally. The output is written to a temporary file first, which replaces
+ * the output file when the projection is complete.
+ * @param {string} inputFile
+ * @param {string} outputFile
+ * @param {any} model The model for the whole input document
+ * @param {StreamOptions & SaveOptions} options
+ * @param {Logger} log
+ * @returns {Promise<boolean>} False if the output file was left alone because its content
+ * was unchanged (see the skipUnchanged option)
+ */
+async function streamTransformation(inputFile, outputFile, model, options, log) {
+  const readable = inputFile === "-" ? process.stdin : createReadStream(inputFile)
+  const warnInvalidLines = ({ invalidLines }) => {
+    for (const { line, message } of invalidLines) {
+      console.error(`  "${inputFile}" line ${line}: skipping invalid JSON (${message})`)
+    }
+  }
+  if (outputFile === "-") {
+    warnInvalidLines(await projectStream(readable, model, process.stdout, { ...options, end: false }))
+    if ((options.output ?? "json") === "json" && !options.trailingNewline) {
+      process.stdout.write("\n")
+    }
+    return true
+  }
+  const partialFile = outputFile + ".partial"
+  const writable = createWriteStream(partialFile)
+  let counts
+  try {
+    counts = await projectStream(readable, model, writable, options)
+  } catch (error) {
+    writable.destroy()
+    rmSync(partialFile, { force: true })
+    throw error
+  }
+  warnInvalidLines(counts)
+  if (options.skipUnchanged && sameFiles(partialFile, outputFile)) {
+    rmSync(partialFile)
+    log.info(`    Leaving "${outputFile}" alone (unchanged)`)
+    return false
+  }
+  log.info(`    Writing "${outputFile}" (${counts.written} of ${counts.elements} element(s))`)
+  makeBackup(outputFile, options)
+  renameSync(partialFile, outputFile)
+  return true
+}
+
+/**
+ * Get the modification times of the input files and model files of transformations
+ * @param {Transformation[]} transformations
+ * @returns {Map<string, number | undefined>} The modification time (undefined if
+ * the file does not exist) by file name
+ */
+function modificationTimes(transformations) {
+  const times = new Map()
+  for (const { inputFile, modelFiles } of transformations) {
+    for (const file of [inputFile, ...modelFiles]) {
+      if (file !== "-") {
+        times.set(file, existsSync(file) ? statSync(file).mtimeMs : undefined)
+      }
+    }
+  }
+  return times
+}
+
+/**
+ * Watch the input files and model files of the transformations in the arguments for
+ * changes (see "--watch"). On a change the arguments are parsed again, so that new files
+ * in "-d" directories and matching glob patterns are found, and the inputs that are new
+ * or changed, or that use a changed model file, are processed again. Models defined
+ * in the entry script itself are not reloaded. Watching continues until the process ends.
+ * @param {string[]} args The application arguments
+ * @param {Map<string, number | undefined>} times The modification times of the files
+ * when they were last processed (see modificationTimes())
+ * @param {(batch: Transformation[], changedModelFiles: Set<string>) => Promise<void>} onChange
+ * Called to process the inputs again
+ * @param {Logger} log
+ */
+function watchTransformations(args, times, onChange, log) {
+  const check = async () => {
+    let transformations
+    try {
+      transformations = parseArguments(args).filter((t) => t.inferInto === undefined && t.test === undefined && t.inputFile !== "-")
+    } catch (error) {
+      console.error(`  ${error.message}`)
+      return
+    }
+    const current = modificationTimes(transformations)
+    const changed = (file) => current.get(file) !== undefined && current.get(file) !== times.get(file)
+    const changedModelFiles = new Set(transformations.flatMap((t) => t.modelFiles).filter(changed))
+    const batch = transformations.filter((t) =>
+      changed(t.inputFile) || t.modelFiles.some((modelFile) => changedModelFiles.has(modelFile)))
+    for (const [file, time] of current) {
+      times.set(file, time)
+    }
+    if (batch.length > 0) {
+      log.info(` Change detected; processing ${batch.length} input(s)`)
+      await onChange(batch, changedModelFiles)
+    }
+  }
+  // changes usually come in bursts of events, and are handled one batch at a time
+  let timer = undefined
+  let running = Promise.resolve()
+  const schedule = () => {
+    clearTimeout(timer)
+    timer = setTimeout(() => {
+      // a failing batch is reported, and does not stop later changes from being processed
+      running = running.then(check).catch((error) => {
+        console.error(`  Failed to process the changes: ${error.message}`)
+        raiseExitCode(exitCodes.failed)
+      })
+    }, 200)
+  }
+  const transformations = parseArguments(args).filter((t) => t.inferInto === undefined && t.test === undefined && t.inputFile !== "-")
+  const recursiveDirs = new Set(transformations.flatMap((t) => t.baseDir === undefined ? [] : [t.baseDir]))
+  const dirs = new Set(transformations.flatMap((t) => [t.inputFile, ...t.modelFiles].map((file) => dirname(file))))
+  for (const dir of recursiveDirs) {
+    watch(dir, { recursive: true }, schedule)
+  }
+  for (const dir of dirs) {
+    if (!recursiveDirs.has(dir)) {
+      watch(dir, schedule)
+    }
+  }
+  log.info(` Watching for changes (press Ctrl+C to stop)`)
+}
+
+/**
+ * The exit codes of the application. If several kinds of failure occur in one run,
+ * the exit code is the highest of their codes.
+ */
+export const exitCodes = Object.freeze({
+  /** All inputs were processed and their output written */
+  success: 0,
+  /** A projection failed: violations in strict mode, or output that cannot be written in its format */
+  projectionFailed: 1,
+  /** Invalid arguments, or no inputs */
+  usage: 2,
+  /** An unknown model, an invalid model, or a model file that cannot be loaded */
+  model: 3,
+  /** An input that cannot be read, or that is not valid JSON */
+  input: 4,
+  /** Any other failure, such as an output file that cannot be written */
+  failed: 5,
+  /** A golden-file test case failed, or no test cases were found (see "--test") */
+  testFailed: 6,
+})
+
+/**
+ * Set the exit code of the process, unless it already has a higher one (see exitCodes)
+ * @param {number} exitCode
+ */
+function raiseExitCode(exitCode) {
+  process.exitCode = Math.max(process.exitCode ?? 0, exitCode)
 }
 
+/**
+ * The result of processing one input file
+ * @typedef {Object} FileResult
+ * @property {string} input The input file ("-" for stdin)
+ * @property {string} output The output file ("-" for stdout)
+ * @property {string} model The name of the model
+ * @property {"written" | "skipped" | "failed"} status "skipped" if the model is unknown or
+ * invalid, or the output file was left alone because it was unchanged, "failed" if the
+ * input could not be read or projected, or the output not written
+ * @property {number} exitCode The exit code for this file (see exitCodes)
+ * @property {boolean} [unchanged] True if the output file was left alone because its
+ * content was unchanged (see "--skip-unchanged")
+ * @property {number} [issues] The number of issues found, in explain mode
+ * @property {{added: number, removed: number, changed: number}} [changes] The number of
+ * changes found by "--diff" (see countChanges())
+ * @property {string} [error] Why the file was skipped or failed
+ */
+
+/**
+ * The summary of a run of the application (or, in watch mode, of processing a batch
+ * of changed files), as written with "--summary"
+ * @typedef {Object} RunSummary
+ * @property {number} processed The number of input files
+ * @property {number} written The number of input files whose output was written
+ * @property {number} skipped The number of input files skipped for an unknown or invalid model,
+ * or whose output file was left alone because it was unchanged
+ * @property {number} failed The number of input files that failed
+ * @property {number} exitCode The highest exit code of the files (see exitCodes)
+ * @property {FileResult[]} files The results per input file
+ */
+
 /**
  * Run the application.
  * @param {any} modelLibrary The library that maps model names to models.
- * At the minimum this should contain a model named "default"
+ * At the minimum this should contain a model named "default" (unless the
+ * models are provided by model files, see "--model-file")
  * @param {string[] | undefined} args The application arguments providing
  * input and output files. If null, process.argv is used
+ * @returns {Promise<void>} Resolves when all files have been processed (in watch mode,
+ * when watching for changes has started). The exit code of the process is set to
+ * one of the exitCodes if anything failed
  */
-export function runTransformApplication(modelLibrary, args) {
+export async function runTransformApplication(modelLibrary, args) {
   args ??= [...process.argv]
-  const transformations = parseArguments(args)
+  modelLibrary ??= {}
+  let transformations
+  try {
+    transformations = parseArguments(args)
+  } catch (error) {
+    console.error(error.message)
+    raiseExitCode(exitCodes.usage)
+    return
+  }
+  const log = createLogger(transformations[0]?.verbosity ?? "normal")
+  const modelFileLibraries = {}
+  const libraryFor = (modelFiles) => {
+    let library = modelLibrary
+    for (const modelFile of modelFiles ?? []) {
+      if (!Object.hasOwn(modelFileLibraries, modelFile)) {
+        log.verbose(`  Loading model file "${modelFile}"`)
+        modelFileLibraries[modelFile] = loadModelFile(modelFile)
+      }
+      library = { ...library, ...modelFileLibraries[modelFile] }
+    }
+    return library
+  }
+  // models are compiled once, and shared by all inputs using them
+  const projectors = {}
+  const projectorFor = (library, modelFiles, modelName) => {
+    const cacheKey = JSON.stringify([modelFiles ?? [], modelName])
+    if (!Object.hasOwn(projectors, cacheKey)) {
+      log.verbose(`  Compiling model "${modelName}"`)
+      try {
+        projectors[cacheKey] = compileModel(library[modelName], { library, modelName })
+      } catch (error) {
+        if (!(error instanceof ModelError)) {
+          throw error
+        }
+        projectors[cacheKey] = error
+      }
+    }
+    return projectors[cacheKey]
+  }
+  // Project one input file to its output
+  const transform = async ({ modelName, inputFile, outputFile, explain, strict, modelFiles, schema, types, stream, format, columns, nested, rows, save,
+    diff, compareWith, diffKey, diffFormat }) => {
+    const result = { input: inputFile, output: outputFile, model: modelName }
+    let library
+    try {
+      library = libraryFor(modelFiles)
+    } catch (error) {
+      console.error(`  ${error.message}. Skipping input "${inputFile}"`)
+      return { ...result, status: "skipped", exitCode: exitCodes.model, error: error.message }
+    }
+    const model = library[modelName]
+    const projector = model && projectorFor(library, modelFiles, modelName)
+    if (!model) {
+      console.error(`  Unknown model "${modelName}". Skipping input "${inputFile}"`)
+      return { ...result, status: "skipped", exitCode: exitCodes.model, error: `Unknown model "${modelName}"` }
+    } else if (projector instanceof ModelError) {
+      console.error(`  ${projector.message}. Skipping input "${inputFile}"`)
+      return { ...result, status: "skipped", exitCode: exitCodes.model, error: projector.message }
+    }
+    if (compareWith !== undefined) {
+      log.info(` Comparing "${inputFile}" with "${compareWith}" (using model "${modelName}")`)
+      const projectFile = (file) => projectInputFile(file, projector, { strict, library })
+      let changes
+      try {
+        changes = diffProjections(projectFile(inputFile), projectFile(compareWith), { key: diffKey })
+      } catch (error) {
+        if (!(error instanceof ProjectionError)) {
+          throw error
+        }
+        console.error(`  Not comparing "${inputFile}" with "${compareWith}": ${error.message}`)
+        return { ...result, status: "failed", exitCode: exitCodes.projectionFailed, error: error.message }
+      }
+      process.stdout.write(diffReport(changes, diffFormat))
+      log.info(`    ${changes.length} change(s)`)
+      return { ...result, status: "written", exitCode: exitCodes.success, changes: countChanges(changes) }
+    }
+    const jsonLinesInput = isJsonLinesFile(inputFile)
+    const output = format ?? fileFormat(outputFile === "-" ? inputFile : outputFile)
+    const delimited = output === "csv" || output === "tsv"
+    const streaming = stream !== undefined || jsonLinesInput
+    log.info(` Processing "${inputFile}" (using model "${modelName}"${stream === undefined ? "" : `, streaming ${stream}`})`)
+    if (outputFile !== "-") {
+      mkdirSync(dirname(outputFile), { recursive: true })
+    }
+    // the previous output, to report the changes against
+    let previous = undefined
+    if (diff !== undefined) {
+      if (outputFile === "-" || delimited) {
+        console.warn(`  Not comparing the output with the previous output: not applicable to ${outputFile === "-" ? "stdout" : `${output.toUpperCase()} output`}`)
+      } else if (!existsSync(outputFile)) {
+        log.info(`    No previous "${outputFile}" to compare with`)
+      } else {
+        try {
+          previous = { value: loadOutput(outputFile, output) }
+        } catch (error) {
+          console.warn(`  Not comparing with the previous "${outputFile}": ${error.message}`)
+        }
+      }
+    }
+    const report = explain ? [] : undefined
+    let outputText = undefined
+    let written = true
+    let failure = undefined
+    try {
+      if (!streaming) {
+        const projected = projector(loadInput(inputFile), { report, strict })
+        if (delimited) {
+          outputText = formatDelimited(rows === undefined ? projected : rowsAtPath(projected, rows),
+            { delimiter: output === "tsv" ? "\t" : ",", columns, nested })
+        } else if (output === "jsonl") {
+          const values = projected === undefined ? [] : Array.isArray(projected) ? projected : [projected]
+          outputText = formatJsonLines(save.sortKeys ? sortObjectKeys(values) : values)
+        } else {
+          outputText = formatJson(projected, save)
+        }
+      } else {
+        const input = jsonLinesInput ? "jsonl" : "json"
+        written = await streamTransformation(inputFile, outputFile, model,
+          { ...save, path: stream, library, report, strict, input, output, columns, nested }, log)
+      }
+    } catch (error) {
+      if (!(error instanceof ProjectionError || error instanceof FormatError)) {
+        throw error
+      }
+      failure = error
+    }
+    if (report) {
+      result.issues = report.length
+      const text = formatProjectionReport(report)
+      if (explain === "file" && outputFile !== "-") {
+        const reportFile = outputFile + ".explain.txt"
+        log.info(`    Writing "${reportFile}" (${report.length} issue(s))`)
+        writeFileSync(reportFile, text + "\n")
+      } else {
+        console.error(`  ${report.length} issue(s) in "${inputFile}"${report.length > 0 ? ":" : ""}`)
+        if (report.length > 0) {
+          console.error(text)
+        }
+      }
+    }
+    if (failure) {
+      console.error(`  Not writing "${outputFile}": ${failure.message}`)
+      return { ...result, status: "failed", exitCode: exitCodes.projectionFailed, error: failure.message }
+    }
+    if (outputText !== undefined && outputFile === "-") {
+      process.stdout.write(output === "json" && !outputText.endsWith("\n") ? outputText + "\n" : outputText)
+    } else if (outputFile !== "-") {
+      if (outputText !== undefined) {
+        written = saveJson(outputFile, outputText, save)
+        log.info(written ? `    Writing "${outputFile}"` : `    Leaving "${outputFile}" alone (unchanged)`)
+      }
+      if (delimited && (schema || types)) {
+        console.warn(`  Not writing schema or types for "${outputFile}": not applicable to ${output.toUpperCase()} output`)
+      } else {
+        // the model of the output document (or of each line, for JSON Lines output)
+        let outputModel = jsonLinesInput ? (output === "jsonl" ? model : [model]) :
+          stream === undefined ? model : arrayModelAtPath(model, parsePath(stream))
+        if (output === "jsonl" && !jsonLinesInput && Array.isArray(outputModel)) {
+          outputModel = makeMatch.firstMatch(outputModel)
+        }
+        const outputBase = outputFile.replace(/\.[^./\\]*$/, "")
+        // the schema and types are generated from the model, so they are written as they
+        // are, without backups
+        const generatedOptions = { backup: "none", skipUnchanged: save.skipUnchanged }
+        if (schema) {
+          const schemaFile = outputBase + ".schema.json"
+          const schemaText = formatJson(modelToJsonSchema(outputModel, { library, strict, title: modelName }), { trailingNewline: true })
+          if (writeFileAtomic(schemaFile, schemaText, generatedOptions)) {
+            log.info(`    Writing "${schemaFile}"`)
+          }
+        }
+        if (types) {
+          const typesFile = outputBase + ".d.ts"
+          if (writeFileAtomic(typesFile, modelToTypeScript(outputModel, typeScriptTypeName(modelName), { library, strict }), generatedOptions)) {
+            log.info(`    Writing "${typesFile}"`)
+          }
+        }
+      }
+    }
+    if (previous !== undefined) {
+      const changes = diffProjections(previous.value, loadOutput(outputFile, output), { key: diffKey })
+      result.changes = countChanges(changes)
+      const text = diffReport(changes, diffFormat)
+      if (diff === "file") {
+        const diffFile = outputFile.replace(/\.[^./\\]*$/, "") + (diffFormat === "json" ? ".diff.json" : ".diff.txt")
+        log.info(`    Writing "${diffFile}" (${changes.length} change(s))`)
+        writeFileSync(diffFile, text)
+      } else {
+        console.error(`  ${changes.length} change(s) in "${outputFile}"${changes.length > 0 ? ":" : ""}`)
+        process.stderr.write(text)
+      }
+    }
+    return { ...result, status: written ? "written" : "skipped", exitCode: exitCodes.success, ...(written ? {} : { unchanged: true }) }
+  }
+  // Run the golden-file test cases in a directory, comparing the projected input
+  // with the expected output
+  const runTests = ({ test, modelFiles, strict, diffKey, save, update }) => {
+    const { cases, inputs, orphans } = findTestCases(test.dir)
+    const selected = cases.filter((testCase) => test.modelName === undefined || testCase.modelName === test.modelName)
+    if (update && test.modelName !== undefined) {
+      for (const inputFile of inputs.filter((input) => !selected.some((testCase) => testCase.inputFile === input))) {
+        const name = inputFile.replace(/\.input\.jsonl?$/, "")
+        const expectedFile = `${name}.${test.modelName}.expected.json`
+        selected.push({ name: relative(test.dir, name), modelName: test.modelName, inputFile, expectedFile })
+      }
+    } else {
+      for (const inputFile of inputs.filter((input) => !cases.some((testCase) => testCase.inputFile === input))) {
+        console.warn(`  No expected file for "${inputFile}"`)
+      }
+    }
+    for (const orphan of orphans) {
+      console.warn(`  No input file for "${orphan}"`)
+    }
+    if (selected.length === 0) {
+      // a misconfigured run must not pass silently
+      console.error(`  No test cases found in "${test.dir}"${test.modelName === undefined ? "" : ` for model "${test.modelName}"`}`)
+      raiseExitCode(exitCodes.testFailed)
+      return
+    }
+    log.info(` Testing ${selected.length} case(s) in "${test.dir}"`)
+    let passed = 0
+    let failed = 0
+    let updated = 0
+    for (const testCase of selected) {
+      const label = `${testCase.name} (model "${testCase.modelName}")`
+      let actual
+      let expected
+      try {
+        const library = libraryFor(modelFiles)
+        const model = library[testCase.modelName]
+        if (model === undefined) {
+          throw new Error(`Unknown model "${testCase.modelName}"`)
+        }
+        const projector = projectorFor(library, modelFiles, testCase.modelName)
+        if (projector instanceof ModelError) {
+          throw projector
+        }
+        // compare the output as it would be written
+        const projected = projectInputFile(testCase.inputFile, projector, { strict, library })
+        actual = JSON.parse(JSON.stringify(projected) ?? "null")
+        expected = existsSync(testCase.expectedFile) ? loadJson(testCase.expectedFile) : undefined
+      } catch (error) {
+        console.error(`  ERROR ${label}: ${error.message}`)
+        failed++
+        continue
+      }
+      if (expected !== undefined && deepEqual(expected, actual)) {
+        log.info(`  PASS ${label}`)
+        passed++
+      } else if (update) {
+        log.info(`  UPDATED ${label}: writing "${testCase.expectedFile}"`)
+        try {
+          saveJson(testCase.expectedFile, actual, { trailingNewline: true, ...save, backup: save.backup ?? "none" })
+          updated++
+        } catch (error) {
+          console.error(`  ERROR ${label}: ${error.message}`)
+          failed++
+        }
+      } else {
+        // the output must match exactly; matching records by key only makes the report
+        // easier to read, so if they just moved, report the differences by index
+        let changes = diffProjections(expected, actual, { key: diffKey })
+        if (changes.length === 0) {
+          changes = diffProjections(expected, actual)
+        }
+        console.error(`  FAIL ${label}: ${changes.length} difference(s) from "${testCase.expectedFile}" (expected -> actual)`)
+        console.error(formatDiffReport(changes).replace(/^/gm, "    "))
+        failed++
+      }
+    }
+    log.info(` ${selected.length} case(s): ${passed} passed, ${failed} failed${update ? `, ${updated} updated` : ""}`)
+    if (failed > 0) {
+      raiseExitCode(exitCodes.testFailed)
+    }
+  }
+  // Process the transformations, reporting and skipping the inputs that fail, and
+  // summarize the results
+  const transformAll = async (batch) => {
+    const files = []
+    for (const transformation of batch) {
+      const started = Date.now()
+      let result
+      try {
+        result = await transform(transformation)
+      } catch (error) {
+        const { inputFile, outputFile, modelName } = transformation
+        // errors reading the input are told apart from other failures, such as writing the output
+        const inputError = error instanceof SyntaxError || (error.code !== undefined && error.path === inputFile)
+        console.error(`  Failed to process "${inputFile}": ${error.message}. Skipping it`)
+        result = {
+          input: inputFile, output: outputFile, model: modelName, status: "failed",
+          exitCode: error instanceof ModelError ? exitCodes.model : inputError ? exitCodes.input : exitCodes.failed,
+          error: error.message,
+        }
+      }
+      log.verbose(`    Done in ${Date.now() - started} ms`)
+      raiseExitCode(result.exitCode)
+      files.push(result)
+    }
+    const count = (status) => files.filter((file) => file.status === status).length
+    /** @type {RunSummary} */
+    const summary = {
+      processed: files.length,
+      written: count("written"),
+      skipped: count("skipped"),
+      failed: count("failed"),
+      exitCode: Math.max(exitCodes.success, ...files.map((file) => file.exitCode)),
+      files,
+    }
+    log.info(` ${summary.processed} input(s): ${summary.written} written, ${summary.skipped} skipped, ${summary.failed} failed`)
+    const summaryFile = batch[0]?.summary
+    if (summaryFile === "-") {
+      process.stdout.write(JSON.stringify(summary, null, 2) + "\n")
+    } else if (summaryFile !== undefined) {
+      log.verbose(`    Writing "${summaryFile}"`)
+      try {
+        saveJson(summaryFile, summary)
+      } catch (error) {
+        console.error(`  Failed to write the summary "${summaryFile}": ${error.message}`)
+        raiseExitCode(exitCodes.failed)
+      }
+    }
+  }
   if (transformations.length == 0) {
-    console.warn("No inputs provided")
-    console.log("Usage:")
-    console.log("  node <?>.js {[-m <model>] {-f <input.json> [<output.json>]}}")
+    console.error("No inputs provided")
+    console.error("Usage:")
+    console.error("  node <?>.js [--watch] [-q|--quiet|-v|--verbose] [--summary <summary.json>] {[-m <model>] [-o <outdir>] [--indent <n|tab>|--compact] [--sort-keys] [--trailing-newline] [--backup single|none|timestamped|numbered] [--keep-backups <n>] [--skip-unchanged] [--diff|--diff-file] [--diff-key <id>] [--diff-format text|json] [-x|--explain|--explain-file] [--strict] [--schema] [--types] [--stream <path>] [--format json|jsonl|csv|tsv] [--columns <a,b,c>] [--nested json|error] [--rows <path>] [--model-file <models.json>] {-f <input.json> [<output.json>] | -f <pattern> | -d <dir>}}")
+    console.error("  node <?>.js [-m <model>] [--diff-key <id>] [--diff-format text|json] --diff <before.json> <after.json>")
+    console.error("  node <?>.js [-m <model>] [--model-file <models.json>] [--diff-key <id>] [--update] --test [<cases>]")
+    console.error("  node <?>.js --infer <model.json|model.js> [-m <model>] [--max-depth <n>] -f <sample.json> {<sample.json>}")
     const modelNames = Object.keys(modelLibrary).join(", ")
-    console.log(`Known model names are: ${modelNames}`)
+    console.error(`Known model names are: ${modelNames}`)
+    raiseExitCode(exitCodes.usage)
   } else {
-    for (const { modelName, inputFile, outputFile } of transformations) {
-      const model = modelLibrary[modelName]
-      if (!model) {
-        console.error(`  Unknown model "${modelName}". Skipping input "${inputFile}"`)
-      } else {
-        console.log(` Processing "${inputFile}" (using model "${modelName}")`)
-        const data = loadJson(inputFile)
-        const projected = projectToModel(data, modelLibrary, modelName)
-        const json = JSON.stringify(projected, null, 2)
-        if (outputFile === "-") {
-          console.log(json)
+    const inferences = new Map()
+    for (const transformation of transformations) {
+      if (transformation.inferInto !== undefined) {
+        const samples = inferences.get(transformation.inferInto) ?? []
+        inferences.set(transformation.inferInto, [...samples, transformation])
+      }
+    }
+    for (const [inferInto, samples] of inferences) {
+      const { modelName, maxDepth } = samples[samples.length - 1]
+      log.info(` Inferring model "${modelName}" from ${samples.map((t) => `"${t.inputFile}"`).join(", ")}`)
+      const format = /\.m?js$/i.test(inferInto) ? "js" : "json"
+      let sampleDocuments
+      try {
+        sampleDocuments = samples.flatMap((t) => isJsonLinesFile(t.inputFile) ?
+          loadJsonLines(t.inputFile).records.map((record) => record.value) : [loadInput(t.inputFile)])
+      } catch (error) {
+        console.error(`  Failed to load the samples: ${error.message}. Not writing "${inferInto}"`)
+        raiseExitCode(exitCodes.input)
+        continue
+      }
+      try {
+        const text = inferModel(sampleDocuments,
+          { multipleSamples: true, maxDepth, format, modelName })
+        if (inferInto === "-") {
+          console.log(text)
         } else {
-          console.log(`    Writing "${outputFile}"`)
-          saveJson(outputFile, json)
+          log.info(`    Writing "${inferInto}"`)
+          saveJson(inferInto, text)
         }
+      } catch (error) {
+        console.error(`  Failed to infer "${inferInto}": ${error.message}`)
+        raiseExitCode(exitCodes.failed)
       }
     }
+    for (const transformation of transformations.filter((t) => t.test !== undefined)) {
+      runTests(transformation)
+    }
+    const projections = transformations.filter((t) => t.inferInto === undefined && t.test === undefined)
+    if (projections.length === 0) {
+      return
+    }
+    if (transformations.some((t) => t.watch)) {
+      const times = modificationTimes(projections)
+      await transformAll(projections)
+      watchTransformations(args, times, async (batch, changedModelFiles) => {
+        for (const modelFile of changedModelFiles) {
+          delete modelFileLibraries[modelFile]
+        }
+        if (changedModelFiles.size > 0) {
+          for (const cacheKey of Object.keys(projectors)) {
+            delete projectors[cacheKey]
+          }
+        }
+        await transformAll(batch)
+      }, log)
+    } else {
+      await transformAll(projections)
+    }
   }
 }
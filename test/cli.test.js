@@ -0,0 +1,74 @@
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { spawnSync } from "node:child_process"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { fileURLToPath } from "node:url"
+import { exitCodes } from "../json-reshape.js"
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)))
+let dir
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "json-reshape-"))
+})
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+/**
+ * Run the command line application (index.js) in the temporary directory
+ * @param {string[]} args
+ * @param {string} [input] The text to pass on stdin
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args, input) {
+  const result = spawnSync(process.execPath, [path.join(root, "index.js"), ...args],
+    { cwd: dir, input, encoding: "utf8", timeout: 30000 })
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr }
+}
+
+test("projects stdin to stdout", () => {
+  const { status, stdout } = run(["-q", "-m", "character", "-f", "-"], '{"id": 1, "character": {"name": "a", "x": 2}}')
+  assert.equal(status, exitCodes.success)
+  assert.deepEqual(JSON.parse(stdout), { id: 1, character: { name: "a" } })
+})
+
+test("exits with the code of what went wrong", () => {
+  fs.writeFileSync(path.join(dir, "bad.json"), "{")
+  assert.equal(run(["--no-such-option"]).status, exitCodes.usage)
+  assert.equal(run(["-q", "-m", "unknown", "-f", "bad.json", "-"]).status, exitCodes.model)
+  assert.equal(run(["-q", "-f", "bad.json", "-"]).status, exitCodes.input)
+})
+
+test("counts outputs left alone by --skip-unchanged as skipped", () => {
+  fs.writeFileSync(path.join(dir, "in.json"), '{"id": 1}')
+  const args = ["-q", "--skip-unchanged", "--summary", "summary.json", "-f", "in.json", "out.json"]
+  assert.equal(run(args).status, exitCodes.success)
+  assert.equal(run(args).status, exitCodes.success)
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, "summary.json"), "utf8"))
+  assert.deepEqual([summary.processed, summary.written, summary.skipped], [1, 0, 1])
+  assert.equal(summary.files[0].status, "skipped")
+})
+
+test("rejects nested values in CSV output with --nested error", () => {
+  fs.writeFileSync(path.join(dir, "nested.json"), '[{"id": 1, "character": {"name": "a"}}]')
+  const { status, stdout } = run(["-q", "--nested", "error", "-f", "nested.json", "nested.csv"])
+  assert.equal(status, exitCodes.projectionFailed, stdout)
+  assert.equal(fs.existsSync(path.join(dir, "nested.csv")), false)
+})
+
+test("passes the golden-file test cases", () => {
+  const cases = path.join(root, "test", "cases")
+  const { status, stderr } = run(["--model-file", path.join(cases, "models.json"), "--test", cases])
+  assert.equal(status, exitCodes.success, stderr)
+  assert.match(stderr, /2 case\(s\): 2 passed, 0 failed/)
+})
+
+test("fails when there are no test cases", () => {
+  const { status, stderr } = run(["--test", dir])
+  assert.equal(status, exitCodes.testFailed)
+  assert.match(stderr, /No test cases found/)
+})
@@ -0,0 +1,121 @@
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { Readable, Writable } from "node:stream"
+import {
+  match,
+  makeMatch,
+  projectToModel,
+  compileModel,
+  parseModelFile,
+  diffProjections,
+  formatDelimited,
+  parseJsonLines,
+  projectStream,
+  ProjectionError,
+  ModelError,
+} from "../json-reshape.js"
+
+test("strict projections fail on missing required values", () => {
+  const model = { id: makeMatch.required(0), name: "" }
+  assert.deepEqual(projectToModel({ id: 1, name: "a", extra: true }, model), { id: 1, name: "a" })
+  assert.throws(() => projectToModel({ name: "a" }, model, undefined, { strict: true }), ProjectionError)
+})
+
+test("violations in dropped elements still fail a strict projection", () => {
+  const element = { id: makeMatch.required(0), type: "" }
+  const filtered = [makeMatch.where(element, { type: makeMatch.equals("a") })]
+  assert.throws(() => projectToModel([{ type: "a" }], filtered, undefined, { strict: true }), ProjectionError)
+  const firstMatch = makeMatch.firstMatch([{ id: makeMatch.required(0), type: "" }, { name: "" }])
+  assert.throws(() => projectToModel({ type: "a" }, firstMatch, undefined, { strict: true }), ProjectionError)
+})
+
+test("unsafe keys never reach the prototype", () => {
+  const unflattened = projectToModel({ "__proto__-polluted": 1, "a-b": 2 }, makeMatch.unflatten(match.any))
+  assert.equal({}.polluted, undefined)
+  assert.deepEqual(unflattened, { a: { b: 2 } })
+  const grouped = projectToModel([{ k: "__proto__" }, { k: "x" }], makeMatch.groupBy([{ k: "" }], "k"))
+  assert.equal(Object.getPrototypeOf(grouped), Object.prototype)
+  assert.deepEqual(Object.keys(grouped), ["__proto__", "x"])
+  const spread = projectToModel(JSON.parse('{"o": {"__proto__": {"p": 1}}}'), { o: makeMatch.spread(match.any) })
+  assert.equal(Object.getPrototypeOf(spread), Object.prototype)
+  assert.deepEqual(Object.getOwnPropertyNames(spread), ["__proto__"])
+})
+
+test("dates and numbers are converted only when valid", () => {
+  const model = { d: makeMatch.date("date"), n: makeMatch.toNumber() }
+  assert.deepEqual(projectToModel({ d: "2024-02-29", n: " 1.5e3 " }, model), { d: "2024-02-29", n: 1500 })
+  assert.deepEqual(projectToModel({ d: "0099-01-31", n: "-.5" }, model), { d: "0099-01-31", n: -0.5 })
+  assert.deepEqual(projectToModel({ d: "2023-02-29", n: "0x10" }, model), { d: null, n: null })
+})
+
+test("model references are resolved in the library", () => {
+  const library = {
+    item: { name: "" },
+    list: [makeMatch.where(makeMatch.ref("item"), { name: makeMatch.regex(/^a/) })],
+  }
+  assert.deepEqual(projectToModel([{ name: "ab" }, { name: "b" }], library, "list"), [{ name: "ab" }])
+})
+
+test("reference cycles that never descend into the data are rejected", () => {
+  const library = { a: makeMatch.ref("b"), b: makeMatch.ref("a") }
+  assert.throws(() => compileModel(library.a, { library }), ModelError)
+  const tree = { tree: { name: "", children: [makeMatch.ref("tree")] } }
+  const project = compileModel(tree.tree, { library: tree })
+  assert.deepEqual(project({ name: "r", children: [{ name: "c", children: [] }] }),
+    { name: "r", children: [{ name: "c", children: [] }] })
+})
+
+test("model files are parsed into models", () => {
+  const library = parseModelFile('{"m": {"id": {"$toNumber": {"strict": true}}, "$$ref": ""}}', "models.json")
+  assert.deepEqual(projectToModel({ id: "7", $ref: "x" }, library, "m"), { id: 7, $ref: "x" })
+  assert.throws(() => parseModelFile('{"m": {"$flaten": {}}}', "models.json"), /models\.json:1:8: Unknown directive "\$flaten"/)
+})
+
+test("diffs compare records by key", () => {
+  const before = [{ id: 1, v: "a" }, { id: 2, v: "b" }]
+  const after = [{ id: 2, v: "c" }, { id: 3, v: "d" }]
+  const changes = diffProjections(before, after, { key: "id" }).map(({ kind, path }) => `${kind} ${path}`)
+  assert.deepEqual(changes, ["removed $[id=1]", "changed $[id=2].v", "added $[id=3]"])
+  assert.deepEqual(diffProjections({ a: 1 }, { a: 1, constructor: 2 }).length, 1)
+})
+
+test("delimited output quotes fields and is empty without columns", () => {
+  const text = formatDelimited([{ a: 1, b: "x,y" }, { a: null }])
+  assert.equal(text, 'a,b\r\n1,"x,y"\r\n,\r\n')
+  assert.equal(formatDelimited([]), "")
+  assert.equal(formatDelimited([{}, {}]), "")
+})
+
+test("JSON Lines input skips blank lines and reports invalid lines", () => {
+  const { records, invalidLines } = parseJsonLines('{"a":1}\n\n[2]\r\n{\n')
+  assert.deepEqual(records, [{ line: 1, value: { a: 1 } }, { line: 3, value: [2] }])
+  assert.deepEqual(invalidLines.map(({ line }) => line), [4])
+})
+
+/**
+ * Project a JSON text with projectStream() and collect the output
+ * @param {string} text
+ * @param {any} model
+ * @param {import("../json-reshape.js").StreamOptions} [options]
+ * @returns {Promise<string>}
+ */
+async function streamText(text, model, options) {
+  let output = ""
+  const writable = new Writable({
+    write(chunk, encoding, callback) {
+      output += chunk
+      callback()
+    },
+  })
+  await projectStream(Readable.from([text]), model, writable, options)
+  return output
+}
+
+test("streamed projections match the non-streaming projection", async () => {
+  const model = { items: [{ id: 0 }] }
+  const text = '{"items": [{"id": 1, "x": 2}, {"id": 2}], "after": {"y": [1]}}'
+  const output = await streamText(text, model, { path: "$.items" })
+  assert.deepEqual(JSON.parse(output), projectToModel(JSON.parse(text), model).items)
+  await assert.rejects(streamText('{"items": [{"id": 1}]} x', model, { path: "$.items" }), SyntaxError)
+  await assert.rejects(streamText('{"items": [], "after": [}', model, { path: "$.items" }), SyntaxError)
+})